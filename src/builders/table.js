@@ -9,6 +9,9 @@ const buildError = require('../orm/apollo_error.js');
 const schemer = require('../validators/schema');
 const parser = require('../utils/parser');
 const normalizer = require('../utils/normalizer');
+const queryTables = require('../orm/query_tables');
+const uniqueConstraints = require('../orm/unique_constraints');
+const tenancy = require('../utils/tenancy');
 
 const ElassandraBuilder = require('./elassandra');
 
@@ -132,8 +135,8 @@ TableBuilder.prototype = {
     const clauses = parser.get_primary_key_clauses(schema);
 
     const query = util.format(
-      'CREATE TABLE IF NOT EXISTS "%s" (%s , PRIMARY KEY((%s)%s))%s;',
-      tableName,
+      'CREATE TABLE IF NOT EXISTS %s (%s , PRIMARY KEY((%s)%s))%s;',
+      tenancy.get_table_identifier(this._properties, tableName),
       rows.join(' , '),
       clauses.partitionKeyClause,
       clauses.clusteringKeyClause,
@@ -155,12 +158,13 @@ TableBuilder.prototype = {
     if (operation === 'ALTER') type = util.format('TYPE %s', type);
     else if (operation === 'DROP') type = '';
 
-    const query = util.format('ALTER TABLE "%s" %s "%s" %s;', tableName, operation, fieldname, type);
+    const tableIdentifier = tenancy.get_table_identifier(properties, tableName);
+    const query = util.format('ALTER TABLE %s %s "%s" %s;', tableIdentifier, operation, fieldname, type);
     this._driver.execute_definition_query(query, callback);
   },
 
   _drop_table(tableName, callback) {
-    const query = util.format('DROP TABLE IF EXISTS "%s";', tableName);
+    const query = util.format('DROP TABLE IF EXISTS %s;', tenancy.get_table_identifier(this._properties, tableName));
     this._driver.execute_definition_query(query, (err) => {
       if (err) {
         callback(buildError('model.tablecreation.dbdrop', err));
@@ -221,6 +225,133 @@ TableBuilder.prototype = {
     });
   },
 
+  // creates the table if it does not exist or migrates it if the schema has changed, afterCreate
+  // is called instead of the callback if the table was created or dropped and recreated
+  sync_table(modelSchema, migration, afterCreate, callback) {
+    const properties = this._properties;
+    const tableName = properties.table_name;
+
+    this.get_table_schema((err, dbSchema) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      if (!dbSchema) {
+        if (properties.createTable === false) {
+          callback(buildError('model.tablecreation.schemanotfound', tableName));
+          return;
+        }
+        // if not existing, it's created
+        this.create_table(modelSchema, afterCreate);
+        return;
+      }
+
+      let normalizedModelSchema;
+      let normalizedDBSchema;
+
+      try {
+        normalizedModelSchema = normalizer.normalize_model_schema(modelSchema);
+        normalizedDBSchema = normalizer.normalize_model_schema(dbSchema);
+      } catch (e) {
+        throw (buildError('model.validator.invalidschema', e.message));
+      }
+
+      if (_.isEqual(normalizedModelSchema, normalizedDBSchema)) {
+        // no change in db was made, so callback with false
+        callback(null, false);
+        return;
+      }
+
+      if (migration === 'alter') {
+        // check if table can be altered to match schema
+        if (_.isEqual(normalizedModelSchema.key, normalizedDBSchema.key) &&
+            _.isEqual(normalizedModelSchema.clustering_order, normalizedDBSchema.clustering_order)) {
+          this.init_alter_operations(modelSchema, dbSchema, normalizedModelSchema, normalizedDBSchema, (err1) => {
+            if (err1 && err1.message === 'alter_impossible') {
+              this.drop_recreate_table(modelSchema, normalizedDBSchema.materialized_views, afterCreate);
+              return;
+            }
+            callback(err1);
+          });
+        } else {
+          this.drop_recreate_table(modelSchema, normalizedDBSchema.materialized_views, afterCreate);
+        }
+      } else if (migration === 'drop') {
+        this.drop_recreate_table(modelSchema, normalizedDBSchema.materialized_views, afterCreate);
+      } else {
+        callback(buildError('model.tablecreation.schemamismatch', tableName, 'migration suspended, please apply the change manually'));
+      }
+    });
+  },
+
+  // the query tables and unique lookup tables are plain tables, so they are synced like the model table
+  // using their own builder, tables is a list of objects with the table_name and the schema of each table.
+  // The properties of tenant models are inherited from the properties of the model, so they are copied with assignIn
+  _sync_helper_tables(tables, migration, callback) {
+    const properties = this._properties;
+    let updated = false;
+    async.eachSeries(tables, (table, next) => {
+      const tableBuilder = new TableBuilder(this._driver, _.assignIn({}, properties, {
+        table_name: table.table_name,
+        esclient: null,
+      }));
+      const onSynced = (err, tableUpdated) => {
+        if (tableUpdated !== false) updated = true;
+        next(err);
+      };
+      tableBuilder.sync_table(table.schema, migration, (err) => onSynced(err, true), onSynced);
+    }, (err) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, updated);
+    });
+  },
+
+  sync_query_tables(migration, callback) {
+    const properties = this._properties;
+    const tables = queryTables.get_table_names(properties.schema).map((queryTableName) => ({
+      table_name: queryTables.get_table_name(properties, queryTableName),
+      schema: queryTables.get_table_schema(properties.schema, queryTableName),
+    }));
+    this._sync_helper_tables(tables, migration, callback);
+  },
+
+  sync_unique_tables(migration, callback) {
+    const properties = this._properties;
+    const tables = uniqueConstraints.get_fields(properties.schema).map((fieldName) => ({
+      table_name: uniqueConstraints.get_table_name(properties, fieldName),
+      schema: uniqueConstraints.get_table_schema(properties.schema, fieldName),
+    }));
+    this._sync_helper_tables(tables, migration, callback);
+  },
+
+  // the query tables, unique lookup tables and the outbox tables are synced after the model table, so that
+  // a failed table migration stops the sync, the outbox tables are shared by the models and synced once
+  sync_helper_tables(migration, callback) {
+    this.sync_query_tables(migration, (err, queryTablesUpdated) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      this.sync_unique_tables(migration, (err1, uniqueTablesUpdated) => {
+        if (err1) {
+          callback(err1);
+          return;
+        }
+        if (!this._properties.outbox || !this._properties.outbox.is_enabled(this._properties.schema)) {
+          callback(null, queryTablesUpdated || uniqueTablesUpdated);
+          return;
+        }
+        this._properties.outbox.sync((err2) => {
+          callback(err2, queryTablesUpdated || uniqueTablesUpdated);
+        });
+      });
+    });
+  },
+
   get_indexes(callback) {
     const properties = this._properties;
     const keyspaceName = properties.keyspace;
@@ -271,20 +402,21 @@ TableBuilder.prototype = {
   },
 
   _create_index_query(tableName, indexName) {
+    const tableIdentifier = tenancy.get_table_identifier(this._properties, tableName);
     let query;
     const indexExpression = indexName.replace(/["\s]/g, '').split(/[()]/g);
     if (indexExpression.length > 1) {
       indexExpression[0] = indexExpression[0].toLowerCase();
       query = util.format(
-        'CREATE INDEX IF NOT EXISTS ON "%s" (%s("%s"));',
-        tableName,
+        'CREATE INDEX IF NOT EXISTS ON %s (%s("%s"));',
+        tableIdentifier,
         indexExpression[0],
         indexExpression[1],
       );
     } else {
       query = util.format(
-        'CREATE INDEX IF NOT EXISTS ON "%s" ("%s");',
-        tableName,
+        'CREATE INDEX IF NOT EXISTS ON %s ("%s");',
+        tableIdentifier,
         indexExpression[0],
       );
     }
@@ -305,8 +437,8 @@ TableBuilder.prototype = {
 
   _create_custom_index_query(tableName, customIndex) {
     let query = util.format(
-      'CREATE CUSTOM INDEX IF NOT EXISTS ON "%s" ("%s") USING \'%s\'',
-      tableName,
+      'CREATE CUSTOM INDEX IF NOT EXISTS ON %s ("%s") USING \'%s\'',
+      tenancy.get_table_identifier(this._properties, tableName),
       customIndex.on,
       customIndex.using,
     );
@@ -339,7 +471,7 @@ TableBuilder.prototype = {
 
   drop_indexes(indexes, callback) {
     async.each(indexes, (idx, next) => {
-      const query = util.format('DROP INDEX IF EXISTS "%s";', idx);
+      const query = util.format('DROP INDEX IF EXISTS %s;', tenancy.get_table_identifier(this._properties, idx));
       this._driver.execute_definition_query(query, next);
     }, (err) => {
       if (err) callback(buildError('model.tablecreation.dbindexdrop', err));
@@ -434,10 +566,10 @@ TableBuilder.prototype = {
     const clauses = parser.get_primary_key_clauses(viewSchema);
 
     const query = util.format(
-      'CREATE MATERIALIZED VIEW IF NOT EXISTS "%s" AS SELECT %s FROM "%s" WHERE %s PRIMARY KEY((%s)%s)%s;',
-      viewName,
+      'CREATE MATERIALIZED VIEW IF NOT EXISTS %s AS SELECT %s FROM %s WHERE %s PRIMARY KEY((%s)%s)%s;',
+      tenancy.get_table_identifier(this._properties, viewName),
       rows.join(' , '),
-      tableName,
+      tenancy.get_table_identifier(this._properties, tableName),
       whereClause,
       clauses.partitionKeyClause,
       clauses.clusteringKeyClause,
@@ -465,7 +597,8 @@ TableBuilder.prototype = {
 
   drop_mviews(mviews, callback) {
     async.each(mviews, (view, next) => {
-      const query = util.format('DROP MATERIALIZED VIEW IF EXISTS "%s";', view);
+      const viewIdentifier = tenancy.get_table_identifier(this._properties, view);
+      const query = util.format('DROP MATERIALIZED VIEW IF EXISTS %s;', viewIdentifier);
       this._driver.execute_definition_query(query, next);
     }, (err) => {
       if (err) callback(buildError('model.tablecreation.matviewdrop', err));
@@ -3,8 +3,12 @@ const _ = require('lodash');
 
 const debug = require('debug')('express-cassandra');
 
-const UdaBuilder = function f(client) {
+const tenancy = require('../utils/tenancy');
+
+// the keyspace name is given for the definitions of a tenant, to create them in its keyspace
+const UdaBuilder = function f(client, keyspaceName) {
   this._client = client;
+  this._keyspace_name = keyspaceName;
 };
 
 UdaBuilder.prototype = {
@@ -29,7 +33,7 @@ UdaBuilder.prototype = {
   create_uda(aggregateName, aggregateDefinition, callback) {
     let query = util.format(
       'CREATE OR REPLACE AGGREGATE %s (%s) SFUNC %s STYPE %s',
-      aggregateName,
+      tenancy.qualify_name(this._keyspace_name, aggregateName),
       aggregateDefinition.input_types.toString(),
       aggregateDefinition.sfunc,
       aggregateDefinition.stype,
@@ -3,8 +3,12 @@ const _ = require('lodash');
 
 const debug = require('debug')('express-cassandra');
 
-const UdfBuilder = function f(client) {
+const tenancy = require('../utils/tenancy');
+
+// the keyspace name is given for the definitions of a tenant, to create them in its keyspace
+const UdfBuilder = function f(client, keyspaceName) {
   this._client = client;
+  this._keyspace_name = keyspaceName;
 };
 
 UdfBuilder.prototype = {
@@ -39,7 +43,7 @@ UdfBuilder.prototype = {
     }
     const query = util.format(
       "CREATE OR REPLACE FUNCTION %s (%s) CALLED ON NULL INPUT RETURNS %s LANGUAGE %s AS '%s';",
-      functionName,
+      tenancy.qualify_name(this._keyspace_name, functionName),
       udfInputs.toString(),
       functionDefinition.returnType,
       functionDefinition.language,
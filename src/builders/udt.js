@@ -2,8 +2,12 @@ const util = require('util');
 
 const debug = require('debug')('express-cassandra');
 
-const UdtBuilder = function f(client) {
+const tenancy = require('../utils/tenancy');
+
+// the keyspace name is given for the definitions of a tenant, to create them in its keyspace
+const UdtBuilder = function f(client, keyspaceName) {
   this._client = client;
+  this._keyspace_name = keyspaceName;
 };
 
 UdtBuilder.prototype = {
@@ -17,8 +21,8 @@ UdtBuilder.prototype = {
       ));
     });
     const query = util.format(
-      'CREATE TYPE IF NOT EXISTS "%s" (%s);',
-      typeName,
+      'CREATE TYPE IF NOT EXISTS %s (%s);',
+      tenancy.qualify_name(this._keyspace_name, util.format('"%s"', typeName)),
       udtFields.toString(),
     );
     debug('executing query: %s', query);
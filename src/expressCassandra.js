@@ -24,6 +24,28 @@ const debug = require('debug')('express-cassandra');
 
 const exporter = require('./utils/exporter');
 const importer = require('./utils/importer');
+const promisify = require('./utils/promisify');
+const routing = require('./utils/routing');
+const { VersionConflictError, UniqueConstraintError } = require('./orm/apollo_error');
+const MemoryStore = require('./helpers/memory_store');
+const tracing = require('./helpers/tracing');
+const Loader = require('./orm/loader');
+
+// the client operations are traced using the tracer ormOptions of the orm the client is bound to
+const getClientSpanOptions = (client, operation) => {
+  if (!client.orm) return null;
+  return tracing.get_span_options(client.orm._options.tracer, operation, client.orm.get_keyspace_name());
+};
+
+// the batch is executed by the model of its first query, so that the query defaults of that model apply,
+// the model is found by the table of the insert, update or delete statement, the statements
+// of tenant models are qualified by the keyspace of the tenant
+const getBatchModel = (modelInstance, queries) => {
+  const match = queries.length > 0 && /^\s*(?:INSERT\s+INTO|UPDATE|DELETE\b[\s\S]*?\bFROM)\s+(?:"[^"]+"\.)?"?([^\s"(]+)/i
+    .exec(queries[0].query);
+  const model = match && _.find(modelInstance, (instance) => instance._properties.table_name === match[1]);
+  return model || modelInstance[Object.keys(modelInstance)[0]];
+};
 
 const CassandraClient = function f(options) {
   this.modelInstance = {};
@@ -59,7 +81,11 @@ CassandraClient.syncModelFileToDB = (file, callback) => {
   callback();
 };
 
-CassandraClient.bind = (options, cb) => {
+CassandraClient.bind = function f(options, cb) {
+  if (typeof cb !== 'function') {
+    return promisify((callback) => CassandraClient.bind(options, callback), f);
+  }
+
   CassandraClient.modelInstance = {};
   CassandraClient.orm = new ORM(options.clientOptions, options.ormOptions);
   CassandraClient.orm = Promise.promisifyAll(CassandraClient.orm);
@@ -88,17 +114,27 @@ CassandraClient.bind = (options, cb) => {
       if (cb && _.isArray(err) && err.length > 0) cb(err[0]);
       else if (cb) cb(err);
     });
+  return undefined;
 };
 
 CassandraClient.bindAsync = Promise.promisify(CassandraClient.bind);
 
 CassandraClient.prototype.init = function f(callback) {
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.init(cb), f);
+  }
+
   this.orm.init(callback);
+  return undefined;
 };
 
 CassandraClient.prototype.initAsync = Promise.promisify(CassandraClient.prototype.init);
 
 CassandraClient.getTableList = function f(callback) {
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.getTableList(cb), f);
+  }
+
   const systemClient = this.orm.get_system_client();
   const keyspace = this.orm.get_keyspace_name();
   const tables = [];
@@ -121,11 +157,16 @@ CassandraClient.getTableList = function f(callback) {
     .catch((err) => {
       callback(err);
     });
+  return undefined;
 };
 
 CassandraClient.getTableListAsync = Promise.promisify(CassandraClient.getTableList);
 
 CassandraClient.export = function f(fixtureDirectory, callback) {
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.export(fixtureDirectory, cb), f);
+  }
+
   const systemClient = this.orm.get_system_client();
   const keyspace = this.orm.get_keyspace_name();
 
@@ -144,15 +185,20 @@ CassandraClient.export = function f(fixtureDirectory, callback) {
       debug(err);
       callback(err);
     });
+  return undefined;
 };
 
+tracing.wrap(CassandraClient, 'export', getClientSpanOptions);
 CassandraClient.exportAsync = Promise.promisify(CassandraClient.export);
 
 CassandraClient.import = function f(fixtureDirectory, options, callback) {
-  if (arguments.length === 2) {
+  if (typeof options === 'function') {
     callback = options;
     options = {};
   }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.import(fixtureDirectory, options, cb), f);
+  }
 
   const defaults = {
     batchSize: 1,
@@ -178,8 +224,10 @@ CassandraClient.import = function f(fixtureDirectory, options, callback) {
       debug(err);
       callback(err);
     });
+  return undefined;
 };
 
+tracing.wrap(CassandraClient, 'import', getClientSpanOptions);
 CassandraClient.importAsync = Promise.promisify(CassandraClient.import);
 
 CassandraClient.prototype.loadSchema = function f(modelName, modelSchema) {
@@ -207,10 +255,13 @@ CassandraClient.maxTimeuuid = (date) => (cql.types.TimeUuid.max(date));
 CassandraClient.minTimeuuid = (date) => (cql.types.TimeUuid.min(date));
 
 CassandraClient.prototype.doBatch = function f(queries, options, callback) {
-  if (arguments.length === 2) {
+  if (typeof options === 'function') {
     callback = options;
     options = {};
   }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.doBatch(queries, options, cb), f);
+  }
 
   const defaults = {
     prepare: true,
@@ -218,26 +269,48 @@ CassandraClient.prototype.doBatch = function f(queries, options, callback) {
 
   options = _.defaultsDeep(options, defaults);
 
-  const randomModel = this.modelInstance[Object.keys(this.modelInstance)[0]];
   const beforeHooks = [];
 
+  // the copies of saved instances in query tables and the outbox events of the writes are part of the batch,
+  // saves of loaded instances without modified columns return a query object without a query
+  const batchQueries = _.flatMap(queries, (query) => (
+    query.query ? [query].concat(query.query_table_queries || [], query.outbox_queries || []) : []
+  ));
+  const batchModel = getBatchModel(this.modelInstance, batchQueries);
+  // the outbox events are written if and only if the writes are, which requires a logged batch
+  if (_.some(queries, (query) => query.query && !_.isEmpty(query.outbox_queries))) {
+    options = _.assign({}, options, { logged: true });
+  }
+  // the statements may belong to different tables, so the types of their columns are not known
+  // and the batch is routed to the replicas of the partition of its first statement
+  options = routing.apply(null, {
+    query: _.map(batchQueries, 'query'),
+    routingKey: batchQueries.length > 0 ? batchQueries[0].routing_key : null,
+  }, options);
+
   let batchResult;
   Promise.all(beforeHooks)
     .then(() => {
-      if (queries.length > 1) {
-        return randomModel.execute_batchAsync(queries, options);
+      if (batchQueries.length > 1) {
+        return batchModel.execute_batchAsync(batchQueries, options);
       }
-      if (queries.length > 0) {
+      if (batchQueries.length > 0) {
         debug('single query provided for batch request, applying as non batch query');
-        return randomModel.execute_queryAsync(queries[0].query, queries[0].params, options);
+        return batchModel.execute_queryAsync(batchQueries[0].query, batchQueries[0].params, options);
       }
       debug('no queries provided for batch request, empty array found, doing nothing');
       return {};
     })
     .then((response) => {
       batchResult = response;
+      // the cached rows are invalidated before the after hooks are called, like for single writes
+      return Promise.all(queries.map((query) => (
+        query.invalidate_cache ? new Promise((resolve) => query.invalidate_cache(resolve)) : null
+      )));
+    })
+    .then(() => {
       for (let i = 0; i < queries.length; i++) {
-        const afterHookResponse = queries[i].after_hook();
+        const afterHookResponse = queries[i].after_hook(batchResult);
         if (afterHookResponse !== true) {
           callback(afterHookResponse);
           return;
@@ -248,12 +321,14 @@ CassandraClient.prototype.doBatch = function f(queries, options, callback) {
     .catch((err) => {
       callback(err);
     });
+  return undefined;
 };
 
+tracing.wrap(CassandraClient.prototype, 'doBatch', (client) => getClientSpanOptions(client, 'batch'));
 CassandraClient.prototype.doBatchAsync = Promise.promisify(CassandraClient.prototype.doBatch);
 
 CassandraClient.doBatch = function f(queries, options, callback) {
-  if (arguments.length === 2) {
+  if (typeof options === 'function') {
     callback = options;
     options = {};
   }
@@ -264,16 +339,98 @@ CassandraClient.doBatch = function f(queries, options, callback) {
 
   options = _.defaultsDeep(options, defaults);
 
-  CassandraClient.prototype.doBatch.call(CassandraClient, queries, options, callback);
+  return CassandraClient.prototype.doBatch.call(CassandraClient, queries, options, callback);
 };
 
 CassandraClient.doBatchAsync = Promise.promisify(CassandraClient.doBatch);
 
+// syncs the keyspaces and tables of the given tenants, one tenant after the other
+CassandraClient.prototype.syncTenants = function f(tenantIds, callback) {
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.syncTenants(tenantIds, cb), f);
+  }
+
+  Promise.mapSeries(_.castArray(tenantIds), (tenantId) => this.orm.sync_tenantAsync(tenantId))
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
+      callback(err);
+    });
+  return undefined;
+};
+
+CassandraClient.syncTenants = function f(tenantIds, callback) {
+  return CassandraClient.prototype.syncTenants.call(CassandraClient, tenantIds, callback);
+};
+
+// creates a memoizing loader for each model, meant to be created for each request,
+// e.g. by an express middleware, so that the loaded rows are only kept for the request
+CassandraClient.prototype.createLoaders = function f() {
+  return _.mapValues(this.modelInstance, (model) => new Loader(model, { memoize: true }));
+};
+
+CassandraClient.createLoaders = function f() {
+  return CassandraClient.prototype.createLoaders.call(CassandraClient);
+};
+
+CassandraClient.retryOnConflict = function f(fn, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => CassandraClient.retryOnConflict(fn, options, cb), f);
+  }
+
+  const defaults = {
+    retries: 3,
+  };
+
+  options = _.defaults({}, options, defaults);
+
+  // fn is called again with the next attempt number if it fails with a version conflict,
+  // so it should load the latest version of the row before modifying and saving it
+  const attempt = (attemptNumber) => {
+    Promise.resolve()
+      .then(() => fn(attemptNumber))
+      .then((result) => {
+        callback(null, result);
+      })
+      .catch((err) => {
+        if (err instanceof VersionConflictError && attemptNumber <= options.retries) {
+          debug('version conflict on attempt %d, retrying', attemptNumber);
+          attempt(attemptNumber + 1);
+          return;
+        }
+        callback(err);
+      });
+  };
+
+  attempt(1);
+  return undefined;
+};
+
 CassandraClient._translateFileNameToModelName = (fileName) => (
   fileName.slice(0, fileName.lastIndexOf('.')).replace('Model', '')
 );
 
 Object.defineProperties(CassandraClient, {
+  VersionConflictError: {
+    get() {
+      return VersionConflictError;
+    },
+  },
+  UniqueConstraintError: {
+    get() {
+      return UniqueConstraintError;
+    },
+  },
+  MemoryStore: {
+    get() {
+      return MemoryStore;
+    },
+  },
   consistencies: {
     get() {
       return cql.types.consistencies;
@@ -294,6 +451,16 @@ Object.defineProperties(CassandraClient, {
       return CassandraClient.modelInstance;
     },
   },
+  metrics: {
+    get() {
+      return CassandraClient.orm.get_metrics();
+    },
+  },
+  outbox: {
+    get() {
+      return CassandraClient.orm.get_outbox();
+    },
+  },
   close: {
     get() {
       return CassandraClient.orm.close;
@@ -308,6 +475,21 @@ Object.defineProperties(CassandraClient, {
 
 
 Object.defineProperties(CassandraClient.prototype, {
+  VersionConflictError: {
+    get() {
+      return VersionConflictError;
+    },
+  },
+  UniqueConstraintError: {
+    get() {
+      return UniqueConstraintError;
+    },
+  },
+  MemoryStore: {
+    get() {
+      return MemoryStore;
+    },
+  },
   consistencies: {
     get() {
       return cql.types.consistencies;
@@ -328,6 +510,16 @@ Object.defineProperties(CassandraClient.prototype, {
       return this.modelInstance;
     },
   },
+  metrics: {
+    get() {
+      return this.orm.get_metrics();
+    },
+  },
+  outbox: {
+    get() {
+      return this.orm.get_outbox();
+    },
+  },
   close: {
     get() {
       return this.orm.close;
@@ -349,6 +541,7 @@ CassandraClient.prototype.timeuuidFromString = CassandraClient.timeuuidFromStrin
 CassandraClient.prototype.timeuuidFromBuffer = CassandraClient.timeuuidFromBuffer;
 CassandraClient.prototype.maxTimeuuid = CassandraClient.maxTimeuuid;
 CassandraClient.prototype.minTimeuuid = CassandraClient.minTimeuuid;
+CassandraClient.prototype.retryOnConflict = CassandraClient.retryOnConflict;
 
 CassandraClient.prototype._translateFileNameToModelName = CassandraClient._translateFileNameToModelName;
 
@@ -2,11 +2,35 @@ const _ = require('lodash');
 
 const debug = require('debug')('express-cassandra');
 
+const queryDefaults = require('../utils/query_defaults');
+
 const Driver = function f(properties) {
   this._properties = properties;
 };
 
 Driver.prototype = {
+  // emits the start of a query and returns the function emitting its end, see helpers/instrumentation
+  _start_query(method, query, params, options, batchSize) {
+    const instrumentation = this._properties.instrumentation;
+    if (!instrumentation) return _.noop;
+    return instrumentation.start({
+      operation: method === 'execute_batch' ? 'batch' : undefined,
+      model: this._properties.name,
+      keyspace: this._properties.keyspace,
+      table: this._properties.table_name,
+      method,
+      query,
+      paramCount: _.size(params),
+      consistency: _.isNil(options.consistency) ? null : options.consistency,
+      batchSize,
+    });
+  },
+
+  // applies the default consistency and execution profile of the model to the options of a query
+  _get_query_options(query, options) {
+    return queryDefaults.apply(this._properties.query_defaults, queryDefaults.get_statement_type(query), options);
+  },
+
   ensure_init(callback) {
     if (!this._properties.cql) {
       this._properties.init(callback);
@@ -24,7 +48,12 @@ Driver.prototype = {
       debug('executing definition query: %s', query);
       const properties = this._properties;
       const conn = properties.define_connection;
-      conn.execute(query, [], { prepare: false, fetchSize: 0 }, callback);
+      const queryOptions = { prepare: false, fetchSize: 0 };
+      const endQuery = this._start_query('execute_definition_query', query, [], queryOptions);
+      conn.execute(query, [], queryOptions, (err1, result) => {
+        endQuery(err1, result && result.rows ? result.rows.length : null);
+        callback(err1, result);
+      });
     });
   },
 
@@ -38,7 +67,7 @@ Driver.prototype = {
       prepare: true,
     };
 
-    options = _.defaultsDeep(options, defaults);
+    options = this._get_query_options(query, _.defaultsDeep(options, defaults));
 
     this.ensure_init((err) => {
       if (err) {
@@ -46,7 +75,10 @@ Driver.prototype = {
         return;
       }
       debug('executing query: %s with params: %j', query, params);
+      const endQuery = this._start_query('execute_query', query, params, options);
       this._properties.cql.execute(query, params, options, (err1, result) => {
+        endQuery(err1, result && result.rows ? result.rows.length : null);
+        // a definition query that can not be prepared is executed again as definition query
         if (err1 && err1.code === 8704) {
           this.execute_definition_query(query, callback);
         } else {
@@ -66,7 +98,7 @@ Driver.prototype = {
       prepare: true,
     };
 
-    options = _.defaultsDeep(options, defaults);
+    options = queryDefaults.apply(this._properties.query_defaults, 'write', _.defaultsDeep(options, defaults));
 
     this.ensure_init((err) => {
       if (err) {
@@ -74,29 +106,56 @@ Driver.prototype = {
         return;
       }
       debug('executing batch queries: %j', queries);
-      this._properties.cql.batch(queries, options, callback);
+      const batchQuery = queries.map((query) => (_.isString(query) ? query : query.query)).join(' ');
+      const batchParams = _.flatMap(queries, (query) => (_.isString(query) ? [] : query.params || []));
+      const endQuery = this._start_query('execute_batch', batchQuery, batchParams, options, queries.length);
+      this._properties.cql.batch(queries, options, (err1, result) => {
+        endQuery(err1);
+        callback(err1, result);
+      });
     });
   },
 
   execute_eachRow(query, params, options, onReadable, callback) {
+    options = this._get_query_options(query, options);
     this.ensure_init((err) => {
       if (err) {
         callback(err);
         return;
       }
       debug('executing eachRow query: %s with params: %j', query, params);
-      this._properties.cql.eachRow(query, params, options, onReadable, callback);
+      const endQuery = this._start_query('execute_eachRow', query, params, options);
+      let rowCount = 0;
+      this._properties.cql.eachRow(query, params, options, (n, row) => {
+        rowCount++;
+        onReadable(n, row);
+      }, (err1, result) => {
+        endQuery(err1, rowCount);
+        callback(err1, result);
+      });
     });
   },
 
   execute_stream(query, params, options, onReadable, callback) {
+    options = this._get_query_options(query, options);
     this.ensure_init((err) => {
       if (err) {
         callback(err);
         return;
       }
       debug('executing stream query: %s with params: %j', query, params);
-      this._properties.cql.stream(query, params, options).on('readable', onReadable).on('end', callback);
+      const endQuery = this._start_query('execute_stream', query, params, options);
+      // the rows are read by the onReadable function, so their number is not known
+      let ended = false;
+      const onEnd = (err1) => {
+        if (ended) return;
+        ended = true;
+        endQuery(err1);
+        if (err1) callback(err1);
+        else callback();
+      };
+      this._properties.cql.stream(query, params, options).on('readable', onReadable).on('end', () => onEnd())
+        .on('error', onEnd);
     });
   },
 };
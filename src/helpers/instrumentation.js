@@ -0,0 +1,169 @@
+const _ = require('lodash');
+const util = require('util');
+
+const debug = require('debug')('express-cassandra');
+
+const buildError = require('../orm/apollo_error.js');
+const tracing = require('./tracing');
+
+const EVENT_NAMES = ['query:start', 'query:end', 'query:error'];
+const ES_METHODS = ['search', 'index', 'get', 'delete', 'update', 'bulk', 'count'];
+const ES_INDICES_METHODS = ['create', 'exists', 'delete', 'putMapping'];
+
+// the statement type is taken from the first keyword of the cql query
+const getOperation = (query) => {
+  const match = /^\s*(\w+)/.exec(query);
+  return match ? match[1].toLowerCase() : 'unknown';
+};
+
+const getDuration = (startTime) => {
+  const duration = process.hrtime(startTime);
+  return (duration[0] * 1e3) + (duration[1] / 1e6);
+};
+
+// emits the lifecycle events of queries to the event emitter or the callbacks given as instrumentation ormOptions,
+// each query:start event is followed by either a query:end or a query:error event with the same id.
+// If a tracer is given, a client span is created for each query as well, the ended queries are
+// recorded by the metrics if given
+const Instrumentation = function f(options, tracer, metrics) {
+  this._nextId = 1;
+  this._emitter = null;
+  this._listeners = null;
+  this._tracer = tracer || null;
+  this._metrics = metrics || null;
+  if (!options) return;
+  if (typeof options.emit === 'function') {
+    this._emitter = options;
+    return;
+  }
+  if (!_.isPlainObject(options) || !_.every(options, (listener, eventName) => (
+    EVENT_NAMES.includes(eventName) && typeof listener === 'function'
+  ))) {
+    throw (buildError(
+      'model.validator.invalidconfig',
+      util.format('instrumentation must be an event emitter or an object of %s callbacks', EVENT_NAMES.join(', ')),
+    ));
+  }
+  this._listeners = options;
+};
+
+Instrumentation.prototype = {
+  is_enabled() {
+    return this._emitter !== null || this._listeners !== null || this._tracer !== null || this._metrics !== null;
+  },
+
+  // a failing listener is not allowed to fail the query
+  _emit(eventName, event) {
+    try {
+      if (this._emitter) this._emitter.emit(eventName, event);
+      else if (this._listeners && this._listeners[eventName]) this._listeners[eventName](event);
+    } catch (e) {
+      debug('instrumentation listener of %s failed: %s', eventName, e.message);
+    }
+  },
+
+  _start_span(event) {
+    if (!this._tracer) return null;
+    try {
+      return tracing.start_query_span(this._tracer, event);
+    } catch (e) {
+      debug('tracer failed to start the span of a query: %s', e.message);
+      return null;
+    }
+  },
+
+  // emits the query:start event and returns the function that emits the end of the
+  // query, it's called with the error of the query and the number of returned rows
+  start(context) {
+    if (!this.is_enabled()) return _.noop;
+
+    const startEvent = _.assign({
+      id: this._nextId++,
+      system: 'cassandra',
+      model: null,
+      operation: getOperation(context.query),
+      paramCount: 0,
+      consistency: null,
+    }, _.omitBy(context, _.isUndefined));
+    const startTime = process.hrtime();
+    const span = this._start_span(startEvent);
+    this._emit('query:start', startEvent);
+
+    let ended = false;
+    return (err, rows) => {
+      if (ended) return;
+      ended = true;
+      if (span) tracing.end_span(span, err);
+      const event = _.assign({}, startEvent, { duration: getDuration(startTime) });
+      if (err) {
+        _.assign(event, { error: err, errorCode: _.isNil(err.code) ? null : err.code });
+      } else {
+        _.assign(event, { rows: _.isNumber(rows) ? rows : null });
+      }
+      if (this._metrics) this._metrics.observe_query(event);
+      this._emit(err ? 'query:error' : 'query:end', event);
+    };
+  },
+
+  // wraps a callback based function, so that its calls are emitted as queries
+  _wrap_method(target, methodName, getContext) {
+    const method = target[methodName];
+    if (typeof method !== 'function') return;
+    const instrumentation = this;
+    target[methodName] = function f(...args) {
+      const end = instrumentation.start(getContext(args));
+      const callbackIndex = _.findLastIndex(args, (arg) => typeof arg === 'function');
+      if (callbackIndex >= 0) {
+        const callback = args[callbackIndex];
+        args[callbackIndex] = (err, ...results) => {
+          end(err, _.isArray(results[0]) ? results[0].length : null);
+          callback(err, ...results);
+        };
+        return method.apply(this, args);
+      }
+      const result = method.apply(this, args);
+      if (result && typeof result.then === 'function') {
+        result.then(() => end(null), (err) => end(err));
+      }
+      return result;
+    };
+  },
+
+  // returns a client that emits the requests of the elasticsearch client, the
+  // original client is kept as prototype, so that all other functions keep working
+  wrap_es_client(client, modelName) {
+    if (!client || !this.is_enabled()) return client;
+    const getContext = (operation) => (args) => ({
+      system: 'elasticsearch',
+      model: modelName || null,
+      operation,
+      query: util.format('%j', _.isPlainObject(args[0]) ? args[0] : {}),
+    });
+    const wrappedClient = Object.create(client);
+    ES_METHODS.forEach((methodName) => {
+      this._wrap_method(wrappedClient, methodName, getContext(methodName));
+    });
+    if (client.indices) {
+      wrappedClient.indices = Object.create(client.indices);
+      ES_INDICES_METHODS.forEach((methodName) => {
+        this._wrap_method(wrappedClient.indices, methodName, getContext(`indices.${methodName}`));
+      });
+    }
+    return wrappedClient;
+  },
+
+  wrap_gremlin_client(client, modelName) {
+    if (!client || !this.is_enabled()) return client;
+    const wrappedClient = Object.create(client);
+    this._wrap_method(wrappedClient, 'execute', (args) => ({
+      system: 'gremlin',
+      model: modelName || null,
+      operation: 'execute',
+      query: args[0],
+      paramCount: _.isPlainObject(args[1]) ? _.size(args[1]) : 0,
+    }));
+    return wrappedClient;
+  },
+};
+
+module.exports = Instrumentation;
@@ -0,0 +1,55 @@
+const _ = require('lodash');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// an in memory least recently used cache store, a Map keeps its keys in insertion
+// order, so an entry is moved to the end whenever it's read and evicted from the start
+const MemoryStore = function f(options) {
+  options = options || {};
+  this._max = _.isNumber(options.max) ? options.max : DEFAULT_MAX_ENTRIES;
+  this._entries = new Map();
+};
+
+MemoryStore.prototype = {
+  get(key, callback) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      callback(null, undefined);
+      return;
+    }
+    this._entries.delete(key);
+    if (entry.expires !== null && entry.expires <= Date.now()) {
+      callback(null, undefined);
+      return;
+    }
+    this._entries.set(key, entry);
+    callback(null, entry.value);
+  },
+
+  // the ttl is given in seconds like the ttl of cassandra queries
+  set(key, value, ttl, callback) {
+    this._entries.delete(key);
+    this._entries.set(key, {
+      value,
+      expires: _.isNumber(ttl) ? Date.now() + (ttl * 1000) : null,
+    });
+    while (this._entries.size > this._max) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    callback();
+  },
+
+  del(key, callback) {
+    this._entries.delete(key);
+    callback();
+  },
+
+  clear(prefix, callback) {
+    Array.from(this._entries.keys()).forEach((key) => {
+      if (key.startsWith(prefix)) this._entries.delete(key);
+    });
+    callback();
+  },
+};
+
+module.exports = MemoryStore;
@@ -0,0 +1,201 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('../orm/apollo_error.js');
+
+const DEFAULT_PREFIX = 'express_cassandra_';
+const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SIZE_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+const ROW_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000];
+const SCHEMA_SYNC_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const LABEL_NAMES = ['keyspace', 'table', 'operation'];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labelNames, labelValues) => {
+  if (labelNames.length === 0) return '';
+  const pairs = labelNames.map((labelName, index) => util.format('%s="%s"', labelName, escapeLabelValue(labelValues[index])));
+  return util.format('{%s}', pairs.join(','));
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+};
+
+const getDuration = (startTime) => {
+  const duration = process.hrtime(startTime);
+  return duration[0] + (duration[1] / 1e9);
+};
+
+// the label values of the series are kept in the order of the label names, missing values are rendered empty
+const getSeries = (metric, labels) => {
+  const labelValues = metric.labelNames.map((labelName) => (_.isNil(labels[labelName]) ? '' : String(labels[labelName])));
+  const seriesKey = JSON.stringify(labelValues);
+  if (!metric.series.has(seriesKey)) metric.series.set(seriesKey, metric.create_series(labelValues));
+  return metric.series.get(seriesKey);
+};
+
+const Counter = function f(name, help, labelNames) {
+  this.name = name;
+  this.help = help;
+  this.labelNames = labelNames;
+  this.series = new Map();
+};
+
+Counter.prototype = {
+  create_series(labelValues) {
+    return { labelValues, value: 0 };
+  },
+
+  inc(labels, value) {
+    getSeries(this, labels).value += _.isNumber(value) ? value : 1;
+  },
+
+  render() {
+    const lines = [util.format('# HELP %s %s', this.name, this.help), util.format('# TYPE %s counter', this.name)];
+    this.series.forEach((series) => {
+      lines.push(util.format('%s%s %s', this.name, formatLabels(this.labelNames, series.labelValues), series.value));
+    });
+    return lines;
+  },
+};
+
+// the buckets are cumulative like the buckets of prometheus histograms, the +Inf bucket is the count
+const Histogram = function f(name, help, labelNames, buckets) {
+  this.name = name;
+  this.help = help;
+  this.labelNames = labelNames;
+  this.buckets = _.sortBy(_.uniq(buckets));
+  this.series = new Map();
+};
+
+Histogram.prototype = {
+  create_series(labelValues) {
+    return {
+      labelValues,
+      bucketCounts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+  },
+
+  observe(labels, value) {
+    const series = getSeries(this, labels);
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) series.bucketCounts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  },
+
+  render() {
+    const lines = [util.format('# HELP %s %s', this.name, this.help), util.format('# TYPE %s histogram', this.name)];
+    const bucketLabelNames = this.labelNames.concat('le');
+    this.series.forEach((series) => {
+      this.buckets.concat(Infinity).forEach((bucket, index) => {
+        const labels = formatLabels(bucketLabelNames, series.labelValues.concat(formatValue(bucket)));
+        const bucketCount = bucket === Infinity ? series.count : series.bucketCounts[index];
+        lines.push(util.format('%s_bucket%s %s', this.name, labels, bucketCount));
+      });
+      const labels = formatLabels(this.labelNames, series.labelValues);
+      lines.push(util.format('%s_sum%s %s', this.name, labels, series.sum));
+      lines.push(util.format('%s_count%s %s', this.name, labels, series.count));
+    });
+    return lines;
+  },
+};
+
+// collects the metrics of the queries and operations of the orm, labelled by keyspace, table and operation,
+// the metrics are rendered in the text exposition format of prometheus
+const Metrics = function f(options) {
+  if (options !== true && !_.isPlainObject(options)) {
+    throw (buildError('model.validator.invalidconfig', 'metrics must be either true or an object of metrics options'));
+  }
+  options = _.isPlainObject(options) ? options : {};
+  const prefix = _.isString(options.prefix) ? options.prefix : DEFAULT_PREFIX;
+  const durationBuckets = _.isArray(options.durationBuckets) ? options.durationBuckets : DURATION_BUCKETS;
+
+  this.contentType = CONTENT_TYPE;
+  this._queryDuration = new Histogram(
+    `${prefix}query_duration_seconds`,
+    'Duration of the queries in seconds.',
+    LABEL_NAMES,
+    durationBuckets,
+  );
+  this._queryErrors = new Counter(
+    `${prefix}query_errors_total`,
+    'Number of failed queries by the error code of the driver.',
+    LABEL_NAMES.concat('code'),
+  );
+  this._batchSize = new Histogram(
+    `${prefix}batch_size`,
+    'Number of statements of the batch queries.',
+    LABEL_NAMES,
+    SIZE_BUCKETS,
+  );
+  this._findRows = new Histogram(
+    `${prefix}find_rows`,
+    'Number of rows returned by the find queries of the models.',
+    LABEL_NAMES,
+    ROW_BUCKETS,
+  );
+  this._schemaSyncDuration = new Histogram(
+    `${prefix}schema_sync_duration_seconds`,
+    'Duration of the schema synchronization of the models in seconds.',
+    LABEL_NAMES,
+    SCHEMA_SYNC_BUCKETS,
+  );
+};
+
+Metrics.prototype = {
+  _get_metrics() {
+    return [this._queryDuration, this._queryErrors, this._batchSize, this._findRows, this._schemaSyncDuration];
+  },
+
+  // records the end of a query from the query:end or query:error event of the instrumentation
+  observe_query(event) {
+    const labels = _.pick(event, LABEL_NAMES);
+    this._queryDuration.observe(labels, event.duration / 1e3);
+    if (event.error) {
+      this._queryErrors.inc(_.assign({ code: _.isNil(event.errorCode) ? 'unknown' : event.errorCode }, labels));
+    }
+    if (_.isNumber(event.batchSize)) this._batchSize.observe(labels, event.batchSize);
+  },
+
+  observe_find_rows(properties, rowCount) {
+    this._findRows.observe({
+      keyspace: properties.keyspace,
+      table: properties.table_name,
+      operation: 'find',
+    }, rowCount);
+  },
+
+  // returns the callback of a schema sync, that records the duration of the sync
+  time_schema_sync(properties, callback) {
+    const startTime = process.hrtime();
+    return (err, ...results) => {
+      this._schemaSyncDuration.observe({
+        keyspace: properties.keyspace,
+        table: properties.table_name,
+        operation: 'syncDB',
+      }, getDuration(startTime));
+      callback(err, ...results);
+    };
+  },
+
+  render() {
+    return `${_.flatMap(this._get_metrics(), (metric) => metric.render()).join('\n')}\n`;
+  },
+
+  reset() {
+    this._get_metrics().forEach((metric) => {
+      metric.series.clear();
+    });
+    return this;
+  },
+};
+
+module.exports = Metrics;
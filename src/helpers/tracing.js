@@ -0,0 +1,114 @@
+const _ = require('lodash');
+
+const buildError = require('../orm/apollo_error.js');
+
+// the values of the SpanKind and SpanStatusCode enums of the opentelemetry api
+const SPAN_KIND_INTERNAL = 0;
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+const isReturningQuery = (args) => args.some((arg) => _.isPlainObject(arg) && arg.return_query);
+
+// only the calls given a callback as last argument are traced, the promise api of the
+// orm functions calls them again with a callback and queries returned by return_query
+// are not executed at all. Stream functions are given an onReadable function as well
+const isTracedCall = (args, functionCount) => (
+  typeof _.last(args) === 'function'
+  && _.filter(args, _.isFunction).length >= functionCount
+  && !isReturningQuery(args)
+);
+
+// the span is made the active span of the tracer if it's supported, so that the
+// spans created within the operation, like the spans of its queries, become its children
+const startSpan = (tracer, name, options, fn) => {
+  if (typeof tracer.startActiveSpan === 'function') {
+    return tracer.startActiveSpan(name, options, fn);
+  }
+  return fn(tracer.startSpan(name, options));
+};
+
+const tracing = {};
+
+tracing.validate_tracer = (tracer) => {
+  if (_.isNil(tracer) || typeof tracer.startSpan === 'function') return;
+  throw (buildError('model.validator.invalidconfig', 'tracer must implement the startSpan function of a tracer'));
+};
+
+// the span name and attributes follow the semantic conventions of opentelemetry for database calls
+tracing.get_span_options = (tracer, operation, keyspace, table) => {
+  if (!tracer) return null;
+  return {
+    tracer,
+    name: _.compact([operation, _.compact([keyspace, table]).join('.')]).join(' '),
+    attributes: _.omitBy({
+      'db.system': 'cassandra',
+      'db.name': keyspace,
+      'db.cassandra.table': table,
+      'db.operation': operation,
+    }, _.isNil),
+  };
+};
+
+// a failing tracer is not allowed to fail the operation, so its errors are ignored
+tracing.end_span = (span, err) => {
+  try {
+    if (err) {
+      if (typeof span.recordException === 'function') span.recordException(err);
+      span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message });
+    }
+    span.end();
+  } catch (e) {
+    // ignored
+  }
+};
+
+// starts the client span of a query from the query:start event of the instrumentation
+tracing.start_query_span = (tracer, event) => {
+  const name = _.compact([event.operation, _.compact([event.keyspace, event.table]).join('.')]).join(' ');
+  return tracer.startSpan(name, {
+    kind: SPAN_KIND_CLIENT,
+    attributes: _.omitBy({
+      'db.system': event.system,
+      'db.name': event.keyspace,
+      'db.cassandra.table': event.table,
+      'db.cassandra.consistency_level': event.consistency,
+      'db.operation': event.operation,
+      'db.statement': event.query,
+    }, _.isNil),
+  });
+};
+
+// replaces a callback based function of the target with a function creating a span for each of
+// its calls, getSpanOptions returns the tracer, name and attributes of the span or null if the call
+// is not traced. The span is ended before the callback is called, the error of the callback
+// ends the span with an error status
+tracing.wrap = (target, methodName, getSpanOptions, functionCount) => {
+  const method = target[methodName];
+  target[methodName] = function f(...args) {
+    const spanOptions = isTracedCall(args, functionCount || 1) ? getSpanOptions(this, methodName) : null;
+    if (!spanOptions) return method.apply(this, args);
+
+    const callback = _.last(args);
+    const options = { kind: SPAN_KIND_INTERNAL, attributes: spanOptions.attributes };
+    return startSpan(spanOptions.tracer, spanOptions.name, options, (span) => {
+      let ended = false;
+      const endSpan = (err) => {
+        if (ended) return;
+        ended = true;
+        tracing.end_span(span, err);
+      };
+      args[args.length - 1] = (err, ...results) => {
+        endSpan(err);
+        callback(err, ...results);
+      };
+      try {
+        return method.apply(this, args);
+      } catch (e) {
+        endSpan(e);
+        throw e;
+      }
+    });
+  };
+};
+
+module.exports = tracing;
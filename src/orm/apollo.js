@@ -32,6 +32,15 @@ const BaseModel = require('./base_model');
 const schemer = require('../validators/schema');
 const normalizer = require('../utils/normalizer');
 const buildError = require('./apollo_error.js');
+const promisify = require('../utils/promisify');
+const queryAnalyzer = require('../utils/query_analyzer');
+const queryDefaults = require('../utils/query_defaults');
+const tenancy = require('../utils/tenancy');
+const cache = require('./cache');
+const Instrumentation = require('../helpers/instrumentation');
+const tracing = require('../helpers/tracing');
+const Metrics = require('../helpers/metrics');
+const Outbox = require('./outbox');
 
 const KeyspaceBuilder = require('../builders/keyspace');
 const UdtBuilder = require('../builders/udt');
@@ -42,8 +51,6 @@ const JanusGraphBuilder = require('../builders/janusgraph');
 
 const DEFAULT_REPLICATION_FACTOR = 1;
 
-const noop = () => {};
-
 const Apollo = function f(connection, options) {
   if (!connection) {
     throw (buildError('model.validator.invalidconfig', 'Cassandra connection configuration undefined'));
@@ -59,12 +66,31 @@ const Apollo = function f(connection, options) {
   }
 
   this._options = options;
+  this._cache = options.cache ? cache.get_config(options.cache) : null;
+  queryAnalyzer.validate_query_guard(options.queryGuard);
+  try {
+    this._query_defaults = queryDefaults.get_defaults(cql.types.consistencies, options);
+  } catch (e) {
+    throw (buildError('model.validator.invalidconfig', e.message));
+  }
+  tracing.validate_tracer(options.tracer);
+  try {
+    tenancy.validate_resolver(options.tenantResolver);
+  } catch (e) {
+    throw (buildError('model.validator.invalidconfig', e.message));
+  }
+  this._metrics = options.metrics ? new Metrics(options.metrics) : null;
+  this._instrumentation = new Instrumentation(options.instrumentation, options.tracer, this._metrics);
   this._models = {};
+  this._tenant_models = {};
+  this._tenant_keyspaces = {};
   this._keyspace = connection.keyspace;
+  this._tenant_resolver = options.tenantResolver || null;
   this._connection = connection;
   this._client = null;
   this._esclient = null;
   this._gremlin_client = null;
+  this._outbox = new Outbox(this, options.outbox);
 };
 
 Apollo.prototype = {
@@ -108,7 +134,7 @@ Apollo.prototype = {
     const esClient = this.create_es_client();
     const indexName = this._keyspace;
 
-    const elassandraBuilder = new ElassandraBuilder(esClient);
+    const elassandraBuilder = new ElassandraBuilder(this._instrumentation.wrap_es_client(esClient));
     elassandraBuilder.assert_index(indexName, indexName, callback);
   },
 
@@ -147,7 +173,7 @@ Apollo.prototype = {
     const keyspaceName = this._keyspace;
     const graphName = `${keyspaceName}_graph`;
 
-    const graphBuilder = new JanusGraphBuilder(gremlinClient, gremlinConfig);
+    const graphBuilder = new JanusGraphBuilder(this._instrumentation.wrap_gremlin_client(gremlinClient), gremlinConfig);
     graphBuilder.assert_graph(graphName, callback);
   },
 
@@ -162,9 +188,21 @@ Apollo.prototype = {
     return this._keyspace;
   },
 
-  _assert_keyspace(callback) {
+  get_metrics() {
+    return this._metrics;
+  },
+
+  get_outbox() {
+    return this._outbox;
+  },
+
+  // the keyspace of a tenant is given as keyspaceName, otherwise the keyspace of the connection is asserted
+  _assert_keyspace(keyspaceName, callback) {
+    if (typeof keyspaceName === 'function') {
+      callback = keyspaceName;
+      keyspaceName = this._keyspace;
+    }
     const client = this.get_system_client();
-    const keyspaceName = this._keyspace;
     const options = this._options;
 
     const keyspaceBuilder = new KeyspaceBuilder(client);
@@ -194,17 +232,20 @@ Apollo.prototype = {
     });
   },
 
-  _assert_user_defined_types(callback) {
+  _assert_user_defined_types(keyspace, callback) {
+    if (typeof keyspace === 'function') {
+      callback = keyspace;
+      keyspace = this._keyspace;
+    }
     const client = this._define_connection;
     const options = this._options;
-    const keyspace = this._keyspace;
 
     if (!options.udts) {
       callback();
       return;
     }
 
-    const udtBuilder = new UdtBuilder(client);
+    const udtBuilder = new UdtBuilder(client, this._get_definition_keyspace(keyspace));
 
     Promise.mapSeries(Object.keys(options.udts), (udtKey) => new Promise((resolve, reject) => {
       const udtCallback = (err) => {
@@ -250,17 +291,20 @@ Apollo.prototype = {
       });
   },
 
-  _assert_user_defined_functions(callback) {
+  _assert_user_defined_functions(keyspace, callback) {
+    if (typeof keyspace === 'function') {
+      callback = keyspace;
+      keyspace = this._keyspace;
+    }
     const client = this._define_connection;
     const options = this._options;
-    const keyspace = this._keyspace;
 
     if (!options.udfs) {
       callback();
       return;
     }
 
-    const udfBuilder = new UdfBuilder(client);
+    const udfBuilder = new UdfBuilder(client, this._get_definition_keyspace(keyspace));
 
     Promise.mapSeries(Object.keys(options.udfs), (udfKey) => new Promise((resolve, reject) => {
       const udfCallback = (err) => {
@@ -319,17 +363,20 @@ Apollo.prototype = {
       });
   },
 
-  _assert_user_defined_aggregates(callback) {
+  _assert_user_defined_aggregates(keyspace, callback) {
+    if (typeof keyspace === 'function') {
+      callback = keyspace;
+      keyspace = this._keyspace;
+    }
     const client = this._define_connection;
     const options = this._options;
-    const keyspace = this._keyspace;
 
     if (!options.udas) {
       callback();
       return;
     }
 
-    const udaBuilder = new UdaBuilder(client);
+    const udaBuilder = new UdaBuilder(client, this._get_definition_keyspace(keyspace));
 
     Promise.mapSeries(Object.keys(options.udas), (udaKey) => new Promise((resolve, reject) => {
       const udaCallback = (err) => {
@@ -391,6 +438,12 @@ Apollo.prototype = {
       });
   },
 
+  // the user defined types, functions and aggregates of a tenant are created
+  // with names qualified by the keyspace of the tenant
+  _get_definition_keyspace(keyspaceName) {
+    return keyspaceName === this._keyspace ? null : keyspaceName;
+  },
+
   _set_client(client) {
     const defineConnectionOptions = _.cloneDeep(this._connection);
 
@@ -508,6 +561,7 @@ Apollo.prototype = {
     if (modelSchema.options && modelSchema.options.versions) {
       const versionOptions = {
         key: modelSchema.options.versions.key || '__v',
+        optimistic_locking: modelSchema.options.versions.optimistic_locking === true,
       };
       modelSchema.options.versions = versionOptions;
 
@@ -519,20 +573,48 @@ Apollo.prototype = {
       };
     }
 
+    if (modelSchema.options && modelSchema.options.paranoid) {
+      const paranoidOptions = {
+        deletedAt: modelSchema.options.paranoid.deletedAt || 'deletedAt',
+      };
+      if (_.isNumber(modelSchema.options.paranoid.ttl)) paranoidOptions.ttl = modelSchema.options.paranoid.ttl;
+      modelSchema.options.paranoid = paranoidOptions;
+
+      modelSchema.fields[modelSchema.options.paranoid.deletedAt] = {
+        type: 'timestamp',
+      };
+    }
+
+    let modelQueryDefaults;
+    try {
+      modelQueryDefaults = queryDefaults.get_defaults(cql.types.consistencies, modelSchema.options || {});
+    } catch (e) {
+      throw (buildError('model.validator.invalidschema', e.message));
+    }
+
     const baseProperties = {
       name: modelName,
       schema: modelSchema,
       keyspace: this._keyspace,
       define_connection: this._define_connection,
       cql: this._client,
-      esclient: this._esclient,
-      gremlin_client: this._gremlin_client,
+      esclient: this._instrumentation.wrap_es_client(this._esclient, modelName),
+      gremlin_client: this._instrumentation.wrap_gremlin_client(this._gremlin_client, modelName),
       get_constructor: this.getModel.bind(this, modelName),
+      get_model: this.getModel.bind(this),
       init: this.init.bind(this),
       dropTableOnSchemaChange: this._options.dropTableOnSchemaChange,
       createTable: this._options.createTable,
       migration: this._options.migration,
       disableTTYConfirmation: this._options.disableTTYConfirmation,
+      cache: this._cache,
+      query_guard: this._options.queryGuard,
+      instrumentation: this._instrumentation,
+      tracer: this._options.tracer,
+      metrics: this._metrics,
+      query_defaults: queryDefaults.merge(this._query_defaults, modelQueryDefaults),
+      outbox: this._outbox,
+      get_tenant_model: this.get_tenant_model.bind(this, modelName),
     };
 
     this._models[modelName] = this._generate_model(baseProperties);
@@ -543,8 +625,111 @@ Apollo.prototype = {
     return this._models[modelName] || null;
   },
 
+  get_tenant_keyspace(tenantId) {
+    if (!this._tenant_resolver) {
+      throw (buildError('model.tenant.notenants'));
+    }
+    const keyspaceName = this._tenant_resolver(tenantId);
+    if (!tenancy.validate_keyspace_name(keyspaceName)) {
+      throw (buildError('model.tenant.invalidkeyspace', keyspaceName, tenantId));
+    }
+    return keyspaceName;
+  },
+
+  // returns the model of a tenant, that executes its queries in the keyspace of the tenant
+  // using the client of the orm. The models are kept for each keyspace, a tenant resolved
+  // to the keyspace of the connection gets the model itself
+  get_tenant_model(modelName, tenantId) {
+    const Model = this.getModel(modelName);
+    if (!Model) return null;
+
+    const keyspaceName = this.get_tenant_keyspace(tenantId);
+    if (keyspaceName === this._keyspace) return Model;
+
+    if (!this._tenant_models[keyspaceName]) this._tenant_models[keyspaceName] = {};
+    const tenantModels = this._tenant_models[keyspaceName];
+    if (!tenantModels[modelName]) {
+      tenantModels[modelName] = this._generate_tenant_model(Model, keyspaceName, tenantId);
+    }
+    return tenantModels[modelName];
+  },
+
+  // the properties of a tenant model inherit the properties of the model, so that it shares the
+  // clients of the orm, even if they are set later on, while the keyspace, the constructor of its
+  // instances and the models of its relations are the ones of the tenant
+  _generate_tenant_model(Model, keyspaceName, tenantId) {
+    const properties = _.assign(Object.create(Model._properties), {
+      keyspace: keyspaceName,
+      tenant_id: tenantId,
+      get_model: (modelName) => this.get_tenant_model(modelName, tenantId),
+      assert_keyspace: this.assert_tenant_keyspace.bind(this, keyspaceName),
+    });
+    const TenantModel = this._generate_model(properties);
+    properties.get_constructor = () => TenantModel;
+    return TenantModel;
+  },
+
+  // asserts the keyspace of a tenant with its user defined types, functions and aggregates,
+  // it's done once for each keyspace, unless it fails
+  assert_tenant_keyspace(keyspaceName, callback) {
+    if (!this._tenant_keyspaces[keyspaceName]) {
+      this.initAsync = Promise.promisify(this.init);
+      this.assertKeyspaceAsync = Promise.promisify(this._assert_keyspace);
+      this.assertUserDefinedTypesAsync = Promise.promisify(this._assert_user_defined_types);
+      this.assertUserDefinedFunctionsAsync = Promise.promisify(this._assert_user_defined_functions);
+      this.assertUserDefinedAggregatesAsync = Promise.promisify(this._assert_user_defined_aggregates);
+
+      this._tenant_keyspaces[keyspaceName] = Promise.resolve()
+        .then(() => (this._client ? null : this.initAsync()))
+        .then(() => (this._options.createKeyspace === false ? null : this.assertKeyspaceAsync(keyspaceName)))
+        .then(() => this.assertUserDefinedTypesAsync(keyspaceName))
+        .then(() => this.assertUserDefinedFunctionsAsync(keyspaceName))
+        .then(() => this.assertUserDefinedAggregatesAsync(keyspaceName))
+        .catch((err) => {
+          delete this._tenant_keyspaces[keyspaceName];
+          throw err;
+        });
+    }
+    this._tenant_keyspaces[keyspaceName]
+      .then(() => {
+        callback();
+      })
+      .catch((err) => {
+        callback(err);
+      });
+  },
+
+  // syncs the tables of all models in the keyspace of a tenant
+  sync_tenant(tenantId, callback) {
+    let tenantModels;
+    try {
+      tenantModels = Object.keys(this._models).map((modelName) => this.get_tenant_model(modelName, tenantId));
+    } catch (e) {
+      callback(e);
+      return;
+    }
+
+    Promise.all(tenantModels.map((TenantModel) => new Promise((resolve, reject) => {
+      TenantModel.syncDB((err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    })))
+      .then(() => {
+        callback();
+      })
+      .catch((err) => {
+        callback(err);
+      });
+  },
+
   close(callback) {
-    callback = callback || noop;
+    if (typeof callback !== 'function') {
+      return promisify((cb) => Apollo.prototype.close.call(this, cb), Apollo.prototype.close);
+    }
 
     if (this.orm._esclient) {
       this.orm._esclient.close();
@@ -569,6 +754,7 @@ Apollo.prototype = {
       .catch((err) => {
         callback(err);
       });
+    return undefined;
   },
 };
 
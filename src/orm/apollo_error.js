@@ -100,12 +100,42 @@ const AERROR_TYPES = {
   'model.find.eachrowerror': {
     msg: 'Invalid eachRow query -> %s',
   },
+  'model.find.invalidpagesize': {
+    msg: 'Invalid pageSize: "%s", pageSize must be a positive integer',
+  },
+  'model.find.invalidcursor': {
+    msg: 'Invalid pagination cursor -> %s',
+  },
+  'model.find.scanerror': {
+    msg: 'Invalid scan query -> %s',
+  },
+  'model.find.invalidmetacolumn': {
+    msg: 'Invalid column for %s selection: "%s", must be a non primary key column of the table, that is not a counter or a non frozen collection',
+  },
   'model.find.cberror': {
     msg: 'No valid callback function was provided',
   },
   'model.find.dberror': {
     msg: 'Error during find query on DB -> %s',
   },
+  'model.find.populateerror': {
+    msg: 'Invalid populate operation -> %s',
+  },
+  'model.find.invalidloadkey': {
+    msg: 'Invalid load key -> %s',
+  },
+  'model.find.invalidquerytable': {
+    msg: 'Invalid query table: "%s", it must be defined in the query_tables of the schema',
+  },
+  'model.find.querybuildererror': {
+    msg: 'Invalid query builder usage -> %s',
+  },
+  'model.find.fullscan': {
+    msg: 'Query rejected by the query guard -> %s',
+  },
+  'model.find.invalidbucketrange': {
+    msg: 'Invalid range of the bucketing source field -> %s',
+  },
   'model.save.unsetkey': {
     msg: 'Primary Key Field: %s must have a value',
   },
@@ -124,6 +154,24 @@ const AERROR_TYPES = {
   'model.save.after.error': {
     msg: 'Error in after_save lifecycle function',
   },
+  'model.save.versionconflict': {
+    msg: 'Version conflict, the row was modified or deleted after it was loaded, expected version: %s',
+  },
+  'model.save.insertmanyerror': {
+    msg: 'Invalid insertMany query -> %s',
+  },
+  'model.save.querytableerror': {
+    msg: 'Invalid save operation for a model with query tables -> %s',
+  },
+  'model.save.outboxerror': {
+    msg: 'Invalid save operation for a model with the outbox option -> %s',
+  },
+  'model.save.uniqueerror': {
+    msg: 'Invalid save operation for a model with unique fields -> %s',
+  },
+  'model.save.uniqueconstraint': {
+    msg: 'Unique constraint violated, the value of field %s is already used: %s',
+  },
   'model.update.unsetkey': {
     msg: 'Primary Key Field: %s must have a value',
   },
@@ -148,6 +196,30 @@ const AERROR_TYPES = {
   'model.update.after.error': {
     msg: 'Error in after_update lifecycle function',
   },
+  'model.update.querytableerror': {
+    msg: 'Invalid update operation for a model with query tables -> %s',
+  },
+  'model.update.outboxerror': {
+    msg: 'Invalid update operation for a model with the outbox option -> %s',
+  },
+  'model.update.uniqueerror': {
+    msg: 'Invalid update operation for a model with unique fields -> %s',
+  },
+  'model.update.uniqueconstraint': {
+    msg: 'Unique constraint violated, the value of field %s is already used: %s',
+  },
+  'model.delete.unsetkey': {
+    msg: 'Primary Key Field: %s can not be deleted',
+  },
+  'model.delete.unsetrequired': {
+    msg: 'Required Field: %s can not be deleted',
+  },
+  'model.delete.invalidcolumnop': {
+    msg: 'Invalid column delete operation -> %s',
+  },
+  'model.delete.paranoiderror': {
+    msg: 'Invalid soft delete operation -> %s',
+  },
   'model.delete.dberror': {
     msg: 'Error during delete query on DB -> %s',
   },
@@ -157,10 +229,55 @@ const AERROR_TYPES = {
   'model.delete.after.error': {
     msg: 'Error in after_delete lifecycle function',
   },
+  'model.delete.querytableerror': {
+    msg: 'Invalid delete operation for a model with query tables -> %s',
+  },
+  'model.delete.outboxerror': {
+    msg: 'Invalid delete operation for a model with the outbox option -> %s',
+  },
+  'model.delete.uniqueerror': {
+    msg: 'Invalid delete operation for a model with unique fields -> %s',
+  },
+  'model.tenant.notenants': {
+    msg: 'Tenants are not enabled, set the tenantResolver ormOptions to use forTenant',
+  },
+  'model.tenant.invalidkeyspace': {
+    msg: 'Invalid keyspace name: %j resolved for tenant: %j',
+  },
+  'model.outbox.invalidoptions': {
+    msg: 'Invalid outbox options -> %s',
+  },
+  'model.outbox.dberror': {
+    msg: 'Error during outbox query on DB -> %s',
+  },
 };
 
 const ERR_NAME_PREFIX = 'apollo';
 
+// a dedicated error type for optimistic locking conflicts, so that they can be
+// told apart from other errors using instanceof and retried if applicable
+const VersionConflictError = function f(message) {
+  Error.captureStackTrace(this, f);
+  this.message = message;
+};
+
+util.inherits(VersionConflictError, Error);
+
+// a dedicated error type for unique constraint violations, the violated field
+// is set by the unique constraints module as the field property of the error
+const UniqueConstraintError = function f(message) {
+  Error.captureStackTrace(this, f);
+  this.message = message;
+};
+
+util.inherits(UniqueConstraintError, Error);
+
+const ERROR_CONSTRUCTORS = {
+  'model.save.versionconflict': VersionConflictError,
+  'model.save.uniqueconstraint': UniqueConstraintError,
+  'model.update.uniqueconstraint': UniqueConstraintError,
+};
+
 const buildError = function f(...args) {
   const argsarray = args;
   const name = argsarray.length ? argsarray.shift() : '_none_given_';
@@ -170,10 +287,13 @@ const buildError = function f(...args) {
     util.format.apply(this, [errorTemplate.msg].concat(argsarray)) :
     errorTemplate.msg;
 
-  const error = new Error(errorMsg);
+  const ErrorConstructor = ERROR_CONSTRUCTORS[name] || Error;
+  const error = new ErrorConstructor(errorMsg);
   error.name = (ERR_NAME_PREFIX ? util.format('%s.', ERR_NAME_PREFIX) : '') + name;
 
   return error;
 };
 
 module.exports = buildError;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.UniqueConstraintError = UniqueConstraintError;
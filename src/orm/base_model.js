@@ -16,11 +16,30 @@ const buildError = require('./apollo_error.js');
 const schemer = require('../validators/schema');
 const normalizer = require('../utils/normalizer');
 const parser = require('../utils/parser');
+const promisify = require('../utils/promisify');
+const queryAnalyzer = require('../utils/query_analyzer');
+const routing = require('../utils/routing');
 
 const TableBuilder = require('../builders/table');
 const ElassandraBuilder = require('../builders/elassandra');
 const JanusGraphBuilder = require('../builders/janusgraph');
 const Driver = require('../helpers/driver');
+const tracing = require('../helpers/tracing');
+const Loader = require('./loader');
+const QueryBuilder = require('./query_builder');
+const pagination = require('./pagination');
+const scan = require('./scan');
+const bulk = require('./bulk');
+const graph = require('./graph');
+const partialSave = require('./partial_save');
+const paranoid = require('./paranoid');
+const rowMetadata = require('./row_metadata');
+const relations = require('./relations');
+const queryTables = require('./query_tables');
+const uniqueConstraints = require('./unique_constraints');
+const cache = require('./cache');
+const bucketing = require('./bucketing');
+const tenancy = require('../utils/tenancy');
 
 const BaseModel = function f(instanceValues) {
   instanceValues = instanceValues || {};
@@ -111,11 +130,11 @@ BaseModel._set_properties = function f(properties) {
   this._properties.table_name = tableName;
   this._properties.qualified_table_name = qualifiedTableName;
   this._driver = new Driver(this._properties);
+  this._loader = new Loader(this);
 };
 
 BaseModel._sync_model_definition = function f(callback) {
   const properties = this._properties;
-  const tableName = properties.table_name;
   const modelSchema = properties.schema;
   let migration = properties.migration;
 
@@ -129,97 +148,60 @@ BaseModel._sync_model_definition = function f(callback) {
   // always safe migrate if NODE_ENV==='production'
   if (process.env.NODE_ENV === 'production') migration = 'safe';
 
-  // check for existence of table on DB and if it matches this model's schema
-  tableBuilder.get_table_schema((err, dbSchema) => {
+  const onSynced = (err, updated) => {
     if (err) {
       callback(err);
       return;
     }
-
-    const afterDBCreate = (err1) => {
+    tableBuilder.sync_helper_tables(migration, (err1, helperTablesUpdated) => {
       if (err1) {
         callback(err1);
         return;
       }
+      callback(null, updated || helperTablesUpdated);
+    });
+  };
 
-      const indexingTasks = [];
-
-      // cassandra index create if defined
-      if (_.isArray(modelSchema.indexes)) {
-        tableBuilder.createIndexesAsync = Promise.promisify(tableBuilder.create_indexes);
-        indexingTasks.push(tableBuilder.createIndexesAsync(modelSchema.indexes));
-      }
-      // cassandra custom index create if defined
-      if (_.isArray(modelSchema.custom_indexes)) {
-        tableBuilder.createCustomIndexesAsync = Promise.promisify(tableBuilder.create_custom_indexes);
-        indexingTasks.push(tableBuilder.createCustomIndexesAsync(modelSchema.custom_indexes));
-      }
-      if (modelSchema.custom_index) {
-        tableBuilder.createCustomIndexAsync = Promise.promisify(tableBuilder.create_custom_indexes);
-        indexingTasks.push(tableBuilder.createCustomIndexAsync([modelSchema.custom_index]));
-      }
-      // materialized view create if defined
-      if (modelSchema.materialized_views) {
-        tableBuilder.createViewsAsync = Promise.promisify(tableBuilder.create_mviews);
-        indexingTasks.push(tableBuilder.createViewsAsync(modelSchema.materialized_views));
-      }
-
-      Promise.all(indexingTasks)
-        .then(() => {
-          // db schema was updated, so callback with true
-          callback(null, true);
-        })
-        .catch((err2) => {
-          callback(err2);
-        });
-    };
-
-    if (!dbSchema) {
-      if (properties.createTable === false) {
-        callback(buildError('model.tablecreation.schemanotfound', tableName));
-        return;
-      }
-      // if not existing, it's created
-      tableBuilder.create_table(modelSchema, afterDBCreate);
+  const afterDBCreate = (err1) => {
+    if (err1) {
+      onSynced(err1);
       return;
     }
 
-    let normalizedModelSchema;
-    let normalizedDBSchema;
+    const indexingTasks = [];
 
-    try {
-      normalizedModelSchema = normalizer.normalize_model_schema(modelSchema);
-      normalizedDBSchema = normalizer.normalize_model_schema(dbSchema);
-    } catch (e) {
-      throw (buildError('model.validator.invalidschema', e.message));
+    // cassandra index create if defined
+    if (_.isArray(modelSchema.indexes)) {
+      tableBuilder.createIndexesAsync = Promise.promisify(tableBuilder.create_indexes);
+      indexingTasks.push(tableBuilder.createIndexesAsync(modelSchema.indexes));
     }
-
-    if (_.isEqual(normalizedModelSchema, normalizedDBSchema)) {
-      // no change in db was made, so callback with false
-      callback(null, false);
-      return;
+    // cassandra custom index create if defined
+    if (_.isArray(modelSchema.custom_indexes)) {
+      tableBuilder.createCustomIndexesAsync = Promise.promisify(tableBuilder.create_custom_indexes);
+      indexingTasks.push(tableBuilder.createCustomIndexesAsync(modelSchema.custom_indexes));
     }
-
-    if (migration === 'alter') {
-      // check if table can be altered to match schema
-      if (_.isEqual(normalizedModelSchema.key, normalizedDBSchema.key) &&
-          _.isEqual(normalizedModelSchema.clustering_order, normalizedDBSchema.clustering_order)) {
-        tableBuilder.init_alter_operations(modelSchema, dbSchema, normalizedModelSchema, normalizedDBSchema, (err1) => {
-          if (err1 && err1.message === 'alter_impossible') {
-            tableBuilder.drop_recreate_table(modelSchema, normalizedDBSchema.materialized_views, afterDBCreate);
-            return;
-          }
-          callback(err1);
-        });
-      } else {
-        tableBuilder.drop_recreate_table(modelSchema, normalizedDBSchema.materialized_views, afterDBCreate);
-      }
-    } else if (migration === 'drop') {
-      tableBuilder.drop_recreate_table(modelSchema, normalizedDBSchema.materialized_views, afterDBCreate);
-    } else {
-      callback(buildError('model.tablecreation.schemamismatch', tableName, 'migration suspended, please apply the change manually'));
+    if (modelSchema.custom_index) {
+      tableBuilder.createCustomIndexAsync = Promise.promisify(tableBuilder.create_custom_indexes);
+      indexingTasks.push(tableBuilder.createCustomIndexAsync([modelSchema.custom_index]));
     }
-  });
+    // materialized view create if defined
+    if (modelSchema.materialized_views) {
+      tableBuilder.createViewsAsync = Promise.promisify(tableBuilder.create_mviews);
+      indexingTasks.push(tableBuilder.createViewsAsync(modelSchema.materialized_views));
+    }
+
+    Promise.all(indexingTasks)
+      .then(() => {
+        // db schema was updated, so callback with true
+        onSynced(null, true);
+      })
+      .catch((err2) => {
+        onSynced(err2);
+      });
+  };
+
+  // check for existence of table on DB and if it matches this model's schema
+  tableBuilder.sync_table(modelSchema, migration, afterDBCreate, onSynced);
 };
 
 BaseModel._sync_es_index = function f(callback) {
@@ -299,12 +281,11 @@ BaseModel.get_find_query = function f(queryObject, options) {
   const selectClause = parser.get_select_clause(options);
   const groupbyClause = parser.get_groupby_clause(options);
 
-  let query = util.format(
-    'SELECT %s%s FROM "%s"',
-    (options.distinct ? 'DISTINCT ' : ''),
-    selectClause,
-    options.materialized_view ? options.materialized_view : this._properties.table_name,
-  );
+  let tableName = options.materialized_view ? options.materialized_view : this._properties.table_name;
+  if (options.query_table) tableName = queryTables.get_find_table_name(this._properties, options.query_table);
+
+  tableName = tenancy.get_table_identifier(this._properties, tableName);
+  let query = util.format('SELECT %s%s FROM %s', (options.distinct ? 'DISTINCT ' : ''), selectClause, tableName);
 
   if (whereClause.query) query += util.format(' %s', whereClause.query);
   if (orderbyClause) query += util.format(' %s', orderbyClause);
@@ -335,34 +316,89 @@ BaseModel.init = function f(options, callback) {
     options = undefined;
   }
 
+  // the tables of tenants are synced on their first use, as tenants are added at runtime
+  if (!_.isUndefined(this._properties.tenant_id)) {
+    this._sync_tenant_table(callback);
+    return;
+  }
+
   this._ready = true;
   callback();
 };
 
-BaseModel.syncDB = function f(callback) {
-  this._sync_model_definition((err, result) => {
-    if (err) {
+// the concurrent queries of a tenant model wait for the same sync of its table
+BaseModel._sync_tenant_table = function f(callback) {
+  if (!this._tenant_sync) {
+    this._tenant_sync = new Promise((resolve, reject) => {
+      this.syncDB((err) => {
+        if (err) {
+          this._tenant_sync = null;
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+  this._tenant_sync
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
       callback(err);
-      return;
-    }
+    });
+};
 
-    this._sync_es_index((err1) => {
-      if (err1) {
-        callback(err1);
+BaseModel.syncDB = function f(callback) {
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.syncDB(cb), f);
+  }
+  if (this._properties.metrics) callback = this._properties.metrics.time_schema_sync(this._properties, callback);
+
+  const syncModel = () => {
+    this._sync_model_definition((err, result) => {
+      if (err) {
+        callback(err);
         return;
       }
 
-      this._sync_graph((err2) => {
-        if (err2) {
-          callback(err2);
+      this._sync_es_index((err1) => {
+        if (err1) {
+          callback(err1);
           return;
         }
 
-        this._ready = true;
-        callback(null, result);
+        this._sync_graph((err2) => {
+          if (err2) {
+            callback(err2);
+            return;
+          }
+
+          this._ready = true;
+          callback(null, result);
+        });
       });
     });
+  };
+
+  // the keyspace of a tenant model is asserted before its table is synced
+  if (!this._properties.assert_keyspace) {
+    syncModel();
+    return undefined;
+  }
+  this._properties.assert_keyspace((err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    syncModel();
   });
+  return undefined;
+};
+
+// returns the model of the tenant, see the tenantResolver ormOptions
+BaseModel.forTenant = function f(tenantId) {
+  return this._properties.get_tenant_model(tenantId);
 };
 
 BaseModel.get_cql_client = function f(callback) {
@@ -416,7 +452,7 @@ BaseModel._execute_table_eachRow = function f(query, params, options, onReadable
 };
 
 BaseModel.eachRow = function f(queryObject, options, onReadable, callback) {
-  if (arguments.length === 3) {
+  if (typeof options === 'function') {
     const cb = onReadable;
     onReadable = options;
     callback = cb;
@@ -426,7 +462,7 @@ BaseModel.eachRow = function f(queryObject, options, onReadable, callback) {
     throw (buildError('model.find.eachrowerror', 'no valid onReadable function was provided'));
   }
   if (typeof callback !== 'function') {
-    throw (buildError('model.find.cberror'));
+    return promisify((cb) => this.eachRow(queryObject, options, onReadable, cb), f);
   }
 
   const defaults = {
@@ -436,25 +472,15 @@ BaseModel.eachRow = function f(queryObject, options, onReadable, callback) {
 
   options = _.defaultsDeep(options, defaults);
 
-  options.return_query = true;
-  const selectQuery = this.find(queryObject, options);
-
-  const queryOptions = normalizer.normalize_query_option(options);
-
-  this._execute_table_eachRow(selectQuery.query, selectQuery.params, queryOptions, (n, row) => {
-    if (!options.raw) {
-      const ModelConstructor = this._properties.get_constructor();
-      row = new ModelConstructor(row);
-      row._modified = {};
-    }
-    onReadable(n, row);
-  }, (err, result) => {
-    if (err) {
-      callback(buildError('model.find.dberror', err));
-      return;
-    }
-    callback(err, result);
-  });
+  // a range of the bucketing source field is read bucket by bucket
+  bucketing.execute_select_queries(this, queryObject, options, (selectQuery, queryOptions, done) => {
+    this._execute_table_eachRow(selectQuery.query, selectQuery.params, queryOptions, (n, row) => {
+      // soft deleted rows are left out, so the mapped row may be undefined
+      row = this._map_result_rows([row], options)[0];
+      if (row) onReadable(n, row);
+    }, done);
+  }, callback);
+  return undefined;
 };
 
 BaseModel.execute_stream = function f(...args) {
@@ -476,7 +502,7 @@ BaseModel._execute_table_stream = function f(query, params, options, onReadable,
 };
 
 BaseModel.stream = function f(queryObject, options, onReadable, callback) {
-  if (arguments.length === 3) {
+  if (typeof options === 'function') {
     const cb = onReadable;
     onReadable = options;
     callback = cb;
@@ -487,7 +513,7 @@ BaseModel.stream = function f(queryObject, options, onReadable, callback) {
     throw (buildError('model.find.streamerror', 'no valid onReadable function was provided'));
   }
   if (typeof callback !== 'function') {
-    throw (buildError('model.find.cberror'));
+    return promisify((cb) => this.stream(queryObject, options, onReadable, cb), f);
   }
 
   const defaults = {
@@ -497,218 +523,32 @@ BaseModel.stream = function f(queryObject, options, onReadable, callback) {
 
   options = _.defaultsDeep(options, defaults);
 
-  options.return_query = true;
-  const selectQuery = this.find(queryObject, options);
-
-  const queryOptions = normalizer.normalize_query_option(options);
-
   const self = this;
 
-  this._execute_table_stream(selectQuery.query, selectQuery.params, queryOptions, function f1() {
-    const reader = this;
-    reader.readRow = () => {
-      const row = reader.read();
-      if (!row) return row;
-      if (!options.raw) {
-        const ModelConstructor = self._properties.get_constructor();
-        const o = new ModelConstructor(row);
-        o._modified = {};
-        return o;
-      }
-      return row;
-    };
-    onReadable(reader);
+  // a range of the bucketing source field is streamed bucket by bucket
+  bucketing.execute_select_queries(this, queryObject, options, (selectQuery, queryOptions, done) => {
+    this._execute_table_stream(selectQuery.query, selectQuery.params, queryOptions, function f1() {
+      const reader = this;
+      reader.readRow = () => {
+        let row = reader.read();
+        while (row) {
+          // soft deleted rows are skipped
+          const mappedRow = self._map_result_rows([row], options)[0];
+          if (mappedRow) return mappedRow;
+          row = reader.read();
+        }
+        return row;
+      };
+      onReadable(reader);
+    }, done);
   }, (err) => {
-    if (err) {
-      callback(buildError('model.find.dberror', err));
-      return;
-    }
-    callback();
-  });
-};
-
-BaseModel._execute_gremlin_query = function f(script, bindings, callback) {
-  const gremlinClient = this.get_gremlin_client();
-  gremlinClient.execute(script, bindings, (err, results) => {
     if (err) {
       callback(err);
       return;
     }
-    callback(null, results);
-  });
-};
-
-BaseModel._execute_gremlin_script = function f(script, bindings, callback) {
-  this._execute_gremlin_query(script, bindings, (err, results) => {
-    if (err) {
-      callback(err);
-      return;
-    }
-    callback(null, results[0]);
-  });
-};
-
-BaseModel.createVertex = function f(vertexProperties, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  const __vertexLabel = properties.table_name;
-  let script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    vertex = graph.addVertex(__vertexLabel);
-  `;
-  Object.keys(vertexProperties).forEach((property) => {
-    script += `vertex.property('${property}', ${property});`;
-  });
-  script += 'vertex';
-  const bindings = _.defaults(vertexProperties, {
-    __graphName,
-    __vertexLabel,
-  });
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.getVertex = function f(__vertexId, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  const script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    vertex = g.V(__vertexId);
-  `;
-  const bindings = {
-    __graphName,
-    __vertexId,
-  };
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.updateVertex = function f(__vertexId, vertexProperties, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  let script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    vertex = g.V(__vertexId);
-  `;
-  Object.keys(vertexProperties).forEach((property) => {
-    script += `vertex.property('${property}', ${property});`;
-  });
-  script += 'vertex';
-  const bindings = _.defaults(vertexProperties, {
-    __graphName,
-    __vertexId,
-  });
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.deleteVertex = function f(__vertexId, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  const script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    vertex = g.V(__vertexId);
-    vertex.drop();
-  `;
-  const bindings = {
-    __graphName,
-    __vertexId,
-  };
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.createEdge = function f(__edgeLabel, __fromVertexId, __toVertexId, edgeProperties, callback) {
-  if (arguments.length === 4 && typeof edgeProperties === 'function') {
-    callback = edgeProperties;
-    edgeProperties = {};
-  }
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  let script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    fromVertex = g.V(__fromVertexId).next();
-    toVertex = g.V(__toVertexId).next();
-    edge = fromVertex.addEdge(__edgeLabel, toVertex);
-  `;
-  Object.keys(edgeProperties).forEach((property) => {
-    script += `edge.property('${property}', ${property});`;
-  });
-  script += 'edge';
-  const bindings = _.defaults(edgeProperties, {
-    __graphName,
-    __fromVertexId,
-    __toVertexId,
-    __edgeLabel,
-  });
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.getEdge = function f(__edgeId, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  const script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    edge = g.E(__edgeId);
-  `;
-  const bindings = {
-    __graphName,
-    __edgeId,
-  };
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.updateEdge = function f(__edgeId, edgeProperties, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  let script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    edge = g.E(__edgeId);
-  `;
-  Object.keys(edgeProperties).forEach((property) => {
-    script += `edge.property('${property}', ${property});`;
-  });
-  script += 'edge';
-  const bindings = _.defaults(edgeProperties, {
-    __graphName,
-    __edgeId,
-  });
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.deleteEdge = function f(__edgeId, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  const script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    edge = g.E(__edgeId);
-    edge.drop();
-  `;
-  const bindings = {
-    __graphName,
-    __edgeId,
-  };
-  this._execute_gremlin_script(script, bindings, callback);
-};
-
-BaseModel.graphQuery = function f(query, params, callback) {
-  const properties = this._properties;
-  const __graphName = `${properties.keyspace}_graph`;
-  const __vertexLabel = properties.table_name;
-  let script = `
-    graph = ConfiguredGraphFactory.open(__graphName);
-    g = graph.traversal();
-    vertices = g.V().hasLabel(__vertexLabel);
-  `;
-  script += query;
-  const bindings = _.defaults(params, {
-    __graphName,
-    __vertexLabel,
+    callback();
   });
-  this._execute_gremlin_query(script, bindings, callback);
+  return undefined;
 };
 
 BaseModel.search = function f(queryObject, callback) {
@@ -728,13 +568,30 @@ BaseModel.search = function f(queryObject, callback) {
   });
 };
 
+BaseModel._map_result_rows = function f(rows, options) {
+  const ModelConstructor = this._properties.get_constructor();
+  return paranoid.filter_rows(this._properties.schema, rows, options).map((row) => {
+    delete (row.columns);
+    const metadata = rowMetadata.extract_metadata(row, options);
+    if (options.raw) {
+      rowMetadata.set_metadata(row, metadata);
+      return row;
+    }
+    const o = new ModelConstructor(row);
+    o._modified = {};
+    partialSave.track_loaded_values(o);
+    rowMetadata.set_metadata(o, metadata);
+    return o;
+  });
+};
+
 BaseModel.find = function f(queryObject, options, callback) {
   if (arguments.length === 2 && typeof options === 'function') {
     callback = options;
     options = {};
   }
-  if (typeof callback !== 'function' && !options.return_query) {
-    throw (buildError('model.find.cberror'));
+  if (typeof callback !== 'function' && !(options && options.return_query)) {
+    return promisify((cb) => this.find(queryObject, options, cb), f);
   }
 
   const defaults = {
@@ -748,11 +605,24 @@ BaseModel.find = function f(queryObject, options, callback) {
   // because casting to model instances may lead to problems
   if (options.select) options.raw = true;
 
+  const schema = this._properties.schema;
   let queryParams = [];
 
+  if (bucketing.is_range_query(schema, queryObject)) {
+    try {
+      bucketing.find(this, queryObject, options, callback);
+    } catch (e) {
+      parser.callback_or_throw(e, callback);
+    }
+    return {};
+  }
+  queryObject = bucketing.get_query_object(schema, queryObject);
+
   let query;
   try {
-    const findQuery = this.get_find_query(queryObject, options);
+    queryAnalyzer.guard(this._properties, queryObject, options);
+    const findOptions = rowMetadata.get_find_options(schema, paranoid.get_find_options(schema, options));
+    const findQuery = this.get_find_query(queryObject, findOptions);
     query = findQuery.query;
     queryParams = queryParams.concat(findQuery.params);
   } catch (e) {
@@ -764,29 +634,24 @@ BaseModel.find = function f(queryObject, options, callback) {
     return { query, params: queryParams };
   }
 
-  const queryOptions = normalizer.normalize_query_option(options);
+  const queryOptions = routing.get_find_query_options(schema, query, queryObject, options);
+
+  const executeFind = (done) => {
+    this._execute_table_query(query, queryParams, queryOptions, done);
+  };
 
-  this._execute_table_query(query, queryParams, queryOptions, (err, results) => {
+  cache.execute_find(this, queryObject, options, executeFind, (err, results) => {
     if (err) {
       callback(buildError('model.find.dberror', err));
       return;
     }
-    if (!options.raw) {
-      const ModelConstructor = this._properties.get_constructor();
-      results = results.rows.map((res) => {
-        delete (res.columns);
-        const o = new ModelConstructor(res);
-        o._modified = {};
-        return o;
-      });
-      callback(null, results);
-    } else {
-      results = results.rows.map((res) => {
-        delete (res.columns);
-        return res;
-      });
-      callback(null, results);
+    const rows = this._map_result_rows(results.rows, options);
+    if (this._properties.metrics) this._properties.metrics.observe_find_rows(this._properties, rows.length);
+    if (options.populate) {
+      relations.populate_rows(this, rows, options.populate, options, callback);
+      return;
     }
+    callback(null, rows);
   });
 
   return {};
@@ -797,8 +662,8 @@ BaseModel.findOne = function f(queryObject, options, callback) {
     callback = options;
     options = {};
   }
-  if (typeof callback !== 'function' && !options.return_query) {
-    throw (buildError('model.find.cberror'));
+  if (typeof callback !== 'function' && !(options && options.return_query)) {
+    return promisify((cb) => this.findOne(queryObject, options, cb), f);
   }
 
   queryObject.$limit = 1;
@@ -816,13 +681,35 @@ BaseModel.findOne = function f(queryObject, options, callback) {
   });
 };
 
+// classifies the query as partition restricted, index backed or full scan without executing it
+BaseModel.explain = function f(queryObject, options) {
+  return queryAnalyzer.analyze(this._properties.schema, queryObject, options);
+};
+
+BaseModel.query = function f() {
+  return new QueryBuilder(this);
+};
+
+// the lookups of a tick are batched by the loader of the model, which does not keep the loaded rows
+BaseModel.load = function f(key, callback) {
+  return this._loader.load(key, callback);
+};
+
+BaseModel.loadMany = function f(keys, callback) {
+  return this._loader.loadMany(keys, callback);
+};
+
 BaseModel.update = function f(queryObject, updateValues, options, callback) {
   if (arguments.length === 3 && typeof options === 'function') {
     callback = options;
     options = {};
   }
+  if (typeof callback !== 'function' && !(options && options.return_query)) {
+    return promisify((cb) => this.update(queryObject, updateValues, options, cb), f);
+  }
 
   const schema = this._properties.schema;
+  queryObject = bucketing.get_query_object(schema, queryObject);
 
   const defaults = {
     prepare: true,
@@ -844,7 +731,7 @@ BaseModel.update = function f(queryObject, updateValues, options, callback) {
 
   if (errorHappened) return {};
 
-  let query = 'UPDATE "%s"';
+  let query = 'UPDATE %s';
   let finalParams = queryParams;
   if (_.isNumber(options.ttl)) {
     query += ' USING TTL ?';
@@ -854,6 +741,9 @@ BaseModel.update = function f(queryObject, updateValues, options, callback) {
 
   let where = '';
   try {
+    queryTables.validate_options(schema, 'update', options);
+    uniqueConstraints.validate_options(schema, 'update', options);
+    this._properties.outbox.validate_options(schema, 'update', options, queryObject);
     const whereClause = parser.get_where_clause(schema, queryObject);
     where = whereClause.query;
     finalParams = finalParams.concat(whereClause.params);
@@ -862,7 +752,8 @@ BaseModel.update = function f(queryObject, updateValues, options, callback) {
     return {};
   }
 
-  query = util.format(query, this._properties.table_name, updateClauses.join(', '), where);
+  const tableIdentifier = tenancy.get_table_identifier(this._properties, this._properties.table_name);
+  query = util.format(query, tableIdentifier, updateClauses.join(', '), where);
 
   if (options.conditions) {
     const ifClause = parser.get_if_clause(schema, options.conditions);
@@ -876,10 +767,15 @@ BaseModel.update = function f(queryObject, updateValues, options, callback) {
 
   query += ';';
 
+  const outboxQueries = this._properties.outbox.get_update_queries(this, queryObject, updateValues);
   if (options.return_query) {
     const returnObj = {
       query,
       params: finalParams,
+      routing_key: routing.get_routing_key(schema, queryObject),
+      outbox_queries: outboxQueries,
+      // doBatch invalidates the cached rows once the batch is executed, before calling the after hooks
+      invalidate_cache: (cb) => cache.invalidate(this, queryObject, cb),
       after_hook: () => {
         if (typeof schema.after_update === 'function' && schema.after_update(queryObject, updateValues, options) === false) {
           return buildError('model.update.after.error');
@@ -890,24 +786,42 @@ BaseModel.update = function f(queryObject, updateValues, options, callback) {
     return returnObj;
   }
 
-  const queryOptions = normalizer.normalize_query_option(options);
+  const queryOptions = routing.apply(
+    schema,
+    { query, keyValues: queryObject },
+    normalizer.normalize_query_option(options),
+  );
 
-  this._execute_table_query(query, finalParams, queryOptions, (err, results) => {
-    if (typeof callback === 'function') {
+  const executeUpdate = (done) => {
+    queryTables.get_update_queries(this, queryObject, updateValues, options, (err, queryTableQueries) => {
       if (err) {
-        callback(buildError('model.update.dberror', err));
-        return;
-      }
-      if (typeof schema.after_update === 'function' && schema.after_update(queryObject, updateValues, options) === false) {
-        callback(buildError('model.update.after.error'));
+        done(err);
         return;
       }
-      callback(null, results);
-    } else if (err) {
-      throw (buildError('model.update.dberror', err));
-    } else if (typeof schema.after_update === 'function' && schema.after_update(queryObject, updateValues, options) === false) {
-      throw (buildError('model.update.after.error'));
+      const queries = queryTableQueries.concat(outboxQueries);
+      queryTables.execute(this, { query, params: finalParams }, queries, queryOptions, (err1, results) => {
+        if (err1) {
+          done(buildError('model.update.dberror', err1));
+          return;
+        }
+        cache.invalidate(this, queryObject, () => done(null, results));
+      });
+    });
+  };
+
+  const uniqueContext = {
+    operation: 'update', queryObject, updateValues, options,
+  };
+  uniqueConstraints.execute(this, uniqueContext, executeUpdate, (err, results) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (typeof schema.after_update === 'function' && schema.after_update(queryObject, updateValues, options) === false) {
+      callback(buildError('model.update.after.error'));
+      return;
     }
+    callback(null, results);
   });
 
   return {};
@@ -918,8 +832,12 @@ BaseModel.delete = function f(queryObject, options, callback) {
     callback = options;
     options = {};
   }
+  if (typeof callback !== 'function' && !(options && options.return_query)) {
+    return promisify((cb) => this.delete(queryObject, options, cb), f);
+  }
 
   const schema = this._properties.schema;
+  queryObject = bucketing.get_query_object(schema, queryObject);
 
   const defaults = {
     prepare: true,
@@ -932,25 +850,53 @@ BaseModel.delete = function f(queryObject, options, callback) {
     return {};
   }
 
+  // deleting columns leaves the row in place, so it's never a soft delete
+  if (paranoid.is_enabled(schema) && !options.force && !options.columns) {
+    return paranoid.soft_delete(this, queryObject, options, callback);
+  }
+
   let queryParams = [];
 
-  let query = 'DELETE FROM "%s" %s;';
+  let query = 'DELETE %sFROM %s %s;';
+  let columns = '';
   let where = '';
   try {
+    queryTables.validate_options(schema, 'delete', options);
+    uniqueConstraints.validate_options(schema, 'delete', options);
+    this._properties.outbox.validate_options(schema, 'delete', options, queryObject);
+    if (options.columns) {
+      const columnsClause = parser.get_delete_columns_clause(schema, options.columns);
+      columns = util.format('%s ', columnsClause.query);
+      queryParams = queryParams.concat(columnsClause.params);
+    }
     const whereClause = parser.get_where_clause(schema, queryObject);
     where = whereClause.query;
     queryParams = queryParams.concat(whereClause.params);
+    if (options.conditions) {
+      const ifClause = parser.get_if_clause(schema, options.conditions);
+      if (ifClause.query) {
+        where += util.format(' %s', ifClause.query);
+        queryParams = queryParams.concat(ifClause.params);
+      }
+    } else if (options.if_exists) {
+      where += ' IF EXISTS';
+    }
   } catch (e) {
     parser.callback_or_throw(e, callback);
     return {};
   }
 
-  query = util.format(query, this._properties.table_name, where);
+  const tableIdentifier = tenancy.get_table_identifier(this._properties, this._properties.table_name);
+  query = util.format(query, columns, tableIdentifier, where);
 
+  const outboxQueries = this._properties.outbox.get_delete_queries(this, queryObject, options);
   if (options.return_query) {
     const returnObj = {
       query,
       params: queryParams,
+      routing_key: routing.get_routing_key(schema, queryObject),
+      outbox_queries: outboxQueries,
+      invalidate_cache: (cb) => cache.invalidate(this, queryObject, cb),
       after_hook: () => {
         if (typeof schema.after_delete === 'function' && schema.after_delete(queryObject, options) === false) {
           return buildError('model.delete.after.error');
@@ -961,35 +907,78 @@ BaseModel.delete = function f(queryObject, options, callback) {
     return returnObj;
   }
 
-  const queryOptions = normalizer.normalize_query_option(options);
+  const queryOptions = routing.apply(
+    schema,
+    { query, keyValues: queryObject },
+    normalizer.normalize_query_option(options),
+  );
 
-  this._execute_table_query(query, queryParams, queryOptions, (err, results) => {
-    if (typeof callback === 'function') {
+  const executeDelete = (done) => {
+    queryTables.get_delete_queries(this, queryObject, options, (err, queryTableQueries) => {
       if (err) {
-        callback(buildError('model.delete.dberror', err));
+        done(err);
         return;
       }
-      if (typeof schema.after_delete === 'function' && schema.after_delete(queryObject, options) === false) {
-        callback(buildError('model.delete.after.error'));
-        return;
-      }
-      callback(null, results);
-    } else if (err) {
-      throw (buildError('model.delete.dberror', err));
-    } else if (typeof schema.after_delete === 'function' && schema.after_delete(queryObject, options) === false) {
-      throw (buildError('model.delete.after.error'));
+      const queries = queryTableQueries.concat(outboxQueries);
+      queryTables.execute(this, { query, params: queryParams }, queries, queryOptions, (err1, results) => {
+        if (err1) {
+          done(buildError('model.delete.dberror', err1));
+          return;
+        }
+        cache.invalidate(this, queryObject, () => done(null, results));
+      });
+    });
+  };
+
+  uniqueConstraints.execute(this, { operation: 'delete', queryObject, options }, executeDelete, (err, results) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (typeof schema.after_delete === 'function' && schema.after_delete(queryObject, options) === false) {
+      callback(buildError('model.delete.after.error'));
+      return;
     }
+    callback(null, results);
   });
 
   return {};
 };
 
 BaseModel.truncate = function f(callback) {
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.truncate(cb), f);
+  }
+
   const properties = this._properties;
   const tableName = properties.table_name;
 
-  const query = util.format('TRUNCATE TABLE "%s";', tableName);
-  this._execute_table_query(query, [], callback);
+  // the helper tables of the model are truncated after the table, then the cached rows are cleared
+  const truncateHelperTables = (done) => {
+    queryTables.truncate(this, (err) => {
+      if (err) {
+        done(err);
+        return;
+      }
+      uniqueConstraints.truncate(this, done);
+    });
+  };
+
+  const query = util.format('TRUNCATE TABLE %s;', tenancy.get_table_identifier(properties, tableName));
+  this._execute_table_query(query, [], (err, result) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    truncateHelperTables((err1) => {
+      if (err1) {
+        callback(err1);
+        return;
+      }
+      cache.clear(this, () => callback(null, result));
+    });
+  });
+  return undefined;
 };
 
 BaseModel.prototype.get_data_types = function f() {
@@ -1028,6 +1017,9 @@ BaseModel.prototype.save = function fn(options, callback) {
     callback = options;
     options = {};
   }
+  if (typeof callback !== 'function' && !(options && options.return_query)) {
+    return promisify((cb) => this.save(options, cb), fn);
+  }
 
   const properties = this.constructor._properties;
   const schema = properties.schema;
@@ -1043,6 +1035,12 @@ BaseModel.prototype.save = function fn(options, callback) {
     return {};
   }
 
+  bucketing.set_instance_bucket(this);
+
+  if (partialSave.can_save_modified(this, options)) {
+    return partialSave.save_modified(this, options, callback);
+  }
+
   const {
     identifiers,
     values,
@@ -1053,8 +1051,8 @@ BaseModel.prototype.save = function fn(options, callback) {
   if (errorHappened) return {};
 
   let query = util.format(
-    'INSERT INTO "%s" ( %s ) VALUES ( %s )',
-    properties.table_name,
+    'INSERT INTO %s ( %s ) VALUES ( %s )',
+    tenancy.get_table_identifier(properties, properties.table_name),
     identifiers.join(' , '),
     values.join(' , '),
   );
@@ -1069,10 +1067,24 @@ BaseModel.prototype.save = function fn(options, callback) {
 
   query += ';';
 
+  let queryTableQueries;
+  try {
+    queryTableQueries = queryTables.get_save_queries(this, options);
+    uniqueConstraints.validate_options(schema, 'save', options);
+    properties.outbox.validate_options(schema, 'save', options);
+  } catch (e) {
+    parser.callback_or_throw(e, callback);
+    return {};
+  }
+
+  const outboxQueries = properties.outbox.get_save_queries(this);
   if (options.return_query) {
     const returnObj = {
       query,
       params: finalParams,
+      routing_key: routing.get_routing_key(schema, this),
+      outbox_queries: outboxQueries,
+      invalidate_cache: (cb) => cache.invalidate_row(this.constructor, this, cb),
       after_hook: () => {
         if (typeof schema.after_save === 'function' && schema.after_save(this, options) === false) {
           return buildError('model.save.after.error');
@@ -1080,35 +1092,47 @@ BaseModel.prototype.save = function fn(options, callback) {
         return true;
       },
     };
+    if (queryTableQueries.length > 0) returnObj.query_table_queries = queryTableQueries;
     return returnObj;
   }
 
-  const queryOptions = normalizer.normalize_query_option(options);
+  const queryOptions = routing.apply(schema, { query, keyValues: this }, normalizer.normalize_query_option(options));
 
-  this.constructor._execute_table_query(query, finalParams, queryOptions, (err, result) => {
-    if (typeof callback === 'function') {
+  const statement = { query, params: finalParams };
+  const executeSave = (done) => {
+    const queries = queryTableQueries.concat(outboxQueries);
+    queryTables.execute_save(this, statement, queries, queryOptions, (err, result) => {
       if (err) {
-        callback(buildError('model.save.dberror', err));
-        return;
-      }
-      if (!options.if_not_exist || (result.rows && result.rows[0] && result.rows[0]['[applied]'])) {
-        this._modified = {};
-      }
-      if (typeof schema.after_save === 'function' && schema.after_save(this, options) === false) {
-        callback(buildError('model.save.after.error'));
+        done(buildError('model.save.dberror', err));
         return;
       }
-      callback(null, result);
-    } else if (err) {
-      throw (buildError('model.save.dberror', err));
-    } else if (typeof schema.after_save === 'function' && schema.after_save(this, options) === false) {
-      throw (buildError('model.save.after.error'));
+      cache.invalidate_row(this.constructor, this, () => done(null, result));
+    });
+  };
+
+  uniqueConstraints.execute(this.constructor, { operation: 'save', instance: this, options }, executeSave, (err, result) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (!options.if_not_exist || (result.rows && result.rows[0] && result.rows[0]['[applied]'])) {
+      this._modified = {};
+      partialSave.track_loaded_values(this);
     }
+    if (typeof schema.after_save === 'function' && schema.after_save(this, options) === false) {
+      callback(buildError('model.save.after.error'));
+      return;
+    }
+    callback(null, result);
   });
 
   return {};
 };
 
+BaseModel.prototype.patch = partialSave.patch;
+
+BaseModel.prototype.populate = relations.populate;
+
 BaseModel.prototype.delete = function f(options, callback) {
   if (arguments.length === 1 && typeof options === 'function') {
     callback = options;
@@ -1117,17 +1141,9 @@ BaseModel.prototype.delete = function f(options, callback) {
 
   const schema = this.constructor._properties.schema;
   const deleteQuery = {};
-
-  for (let i = 0; i < schema.key.length; i++) {
-    const fieldKey = schema.key[i];
-    if (_.isArray(fieldKey)) {
-      for (let j = 0; j < fieldKey.length; j++) {
-        deleteQuery[fieldKey[j]] = this[fieldKey[j]];
-      }
-    } else {
-      deleteQuery[fieldKey] = this[fieldKey];
-    }
-  }
+  _.flatten(schema.key).forEach((fieldName) => {
+    deleteQuery[fieldName] = this[fieldName];
+  });
 
   return this.constructor.delete(deleteQuery, options, callback);
 };
@@ -1140,6 +1156,10 @@ BaseModel.prototype.toJSON = function toJSON() {
     object[field] = this[field];
   });
 
+  Object.keys(schema.relations || {}).forEach((relationName) => {
+    if (_.has(this, relationName)) object[relationName] = this[relationName];
+  });
+
   return object;
 };
 
@@ -1150,4 +1170,25 @@ BaseModel.prototype.isModified = function isModified(propName) {
   return Object.keys(this._modified).length !== 0;
 };
 
+_.assign(BaseModel, pagination, scan, bulk, graph);
+BaseModel.restore = paranoid.restore;
+BaseModel.forceDelete = paranoid.forceDelete;
+
+// the operations of the models and their instances are traced using the tracer ormOptions
+const getModelSpanOptions = (properties, operation) => (
+  tracing.get_span_options(properties.tracer, operation, properties.keyspace, properties.table_name)
+);
+
+['find', 'update', 'delete', 'truncate', 'syncDB', 'search'].concat(Object.keys(graph)).forEach((methodName) => {
+  tracing.wrap(BaseModel, methodName, (model, operation) => getModelSpanOptions(model._properties, operation));
+});
+['stream', 'eachRow'].forEach((methodName) => {
+  tracing.wrap(BaseModel, methodName, (model, operation) => getModelSpanOptions(model._properties, operation), 2);
+});
+['save', 'delete'].forEach((methodName) => {
+  tracing.wrap(BaseModel.prototype, methodName, (instance, operation) => (
+    getModelSpanOptions(instance.constructor._properties, operation)
+  ));
+});
+
 module.exports = BaseModel;
@@ -0,0 +1,245 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+let dseDriver;
+try {
+  // eslint-disable-next-line import/no-extraneous-dependencies, import/no-unresolved
+  dseDriver = require('dse-driver');
+} catch (e) {
+  dseDriver = null;
+}
+
+const cql = Promise.promisifyAll(dseDriver || require('cassandra-driver'));
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+const routing = require('../utils/routing');
+
+// the length of the iso date string prefix of each granularity, used for text bucket fields
+const GRANULARITY_TEXT_LENGTHS = { hour: 13, day: 10, month: 7 };
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const BUCKET_CONCURRENCY = 8;
+
+const getBucketing = (schema) => (schema.options && schema.options.bucketing) || null;
+
+const toDate = (value) => {
+  if (_.isNil(value) || _.isPlainObject(value)) return null;
+  let date;
+  if (value instanceof Date) date = value;
+  else if (value instanceof cql.types.LocalDate) date = new Date(Date.UTC(value.year, value.month - 1, value.day));
+  else if (typeof value.getDate === 'function') date = value.getDate();
+  else if (_.isString(value) || _.isNumber(value)) date = new Date(value);
+  return date && !_.isNaN(date.getTime()) ? date : null;
+};
+
+// the buckets start at the beginning of the hour, day or month in UTC
+const getBucketStart = (date, granularity) => {
+  if (granularity === 'month') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const bucketStart = new Date(date.getTime());
+  if (granularity === 'day') bucketStart.setUTCHours(0, 0, 0, 0);
+  else bucketStart.setUTCMinutes(0, 0, 0);
+  return bucketStart;
+};
+
+const getNextBucketStart = (bucketStart, granularity) => {
+  if (granularity === 'month') {
+    return new Date(Date.UTC(bucketStart.getUTCFullYear(), bucketStart.getUTCMonth() + 1, 1));
+  }
+  const nextBucketStart = new Date(bucketStart.getTime());
+  if (granularity === 'day') nextBucketStart.setUTCDate(nextBucketStart.getUTCDate() + 1);
+  else nextBucketStart.setUTCHours(nextBucketStart.getUTCHours() + 1);
+  return nextBucketStart;
+};
+
+// the bucket value has the type of the bucket field, a timestamp, a date or a text like 2020-10-08
+const getBucketValue = (schema, bucketStart) => {
+  const bucketing = getBucketing(schema);
+  const fieldType = schemer.get_field_type(schema, bucketing.field);
+  if (fieldType === 'date') {
+    const { LocalDate } = cql.types;
+    return new LocalDate(bucketStart.getUTCFullYear(), bucketStart.getUTCMonth() + 1, bucketStart.getUTCDate());
+  }
+  if (fieldType === 'timestamp') return bucketStart;
+  return bucketStart.toISOString().slice(0, GRANULARITY_TEXT_LENGTHS[bucketing.granularity]);
+};
+
+const getSourceValue = (value) => (_.isPlainObject(value) && _.has(value, '$eq') ? value.$eq : value);
+
+// the buckets are read in the order of the source field, which is given by the $orderby
+// of the query or else by the clustering order of the source field
+const isDescending = (schema, queryObject) => {
+  const source = getBucketing(schema).source;
+  const orderBy = _.find(queryObject, (value, key) => key.toLowerCase() === '$orderby');
+  if (_.isPlainObject(orderBy)) {
+    const direction = _.findKey(orderBy, (fields) => _.castArray(fields)[0] === source);
+    if (direction) return direction.toLowerCase() === '$desc';
+  }
+  const clusteringOrder = schema.clustering_order && schema.clustering_order[source];
+  return String(clusteringOrder).toLowerCase() === 'desc';
+};
+
+const bucketing = {};
+
+bucketing.is_enabled = (schema) => getBucketing(schema) !== null;
+
+// returns the bucket of a source field value or undefined if it's not a single point in time
+bucketing.get_bucket = (schema, sourceValue) => {
+  const date = toDate(sourceValue);
+  if (!date) return undefined;
+  return getBucketValue(schema, getBucketStart(date, getBucketing(schema).granularity));
+};
+
+// the bucket of an instance is always computed from its source field before it's saved
+bucketing.set_instance_bucket = (instance) => {
+  const schema = instance.constructor._properties.schema;
+  if (!bucketing.is_enabled(schema)) return;
+  const { field, source } = getBucketing(schema);
+  const bucket = bucketing.get_bucket(schema, instance[source]);
+  if (!_.isUndefined(bucket)) instance[field] = bucket;
+};
+
+// adds the bucket to a query restricting the source field to a single value, unless the bucket is given
+bucketing.get_query_object = (schema, queryObject) => {
+  if (!bucketing.is_enabled(schema) || !_.isPlainObject(queryObject)) return queryObject;
+  const { field, source } = getBucketing(schema);
+  if (_.has(queryObject, field) || !_.has(queryObject, source)) return queryObject;
+  const bucket = bucketing.get_bucket(schema, getSourceValue(queryObject[source]));
+  if (_.isUndefined(bucket)) return queryObject;
+  return _.assign({}, queryObject, { [field]: bucket });
+};
+
+// a query with a range of the source field and without the bucket is expanded into a query for each bucket
+bucketing.is_range_query = (schema, queryObject) => {
+  if (!bucketing.is_enabled(schema) || !_.isPlainObject(queryObject)) return false;
+  const { field, source } = getBucketing(schema);
+  return !_.has(queryObject, field) && _.isPlainObject(queryObject[source])
+    && _.some(RANGE_OPERATORS, (operator) => _.has(queryObject[source], operator));
+};
+
+// returns the queries of the buckets of a range query in the order they are read
+bucketing.get_bucket_queries = (schema, queryObject) => {
+  const { field, source, granularity } = getBucketing(schema);
+  const range = queryObject[source];
+  const lowerBound = toDate(_.has(range, '$gte') ? range.$gte : range.$gt);
+  const upperBound = toDate(_.has(range, '$lte') ? range.$lte : range.$lt);
+  if (!lowerBound || !upperBound) {
+    throw (buildError(
+      'model.find.invalidbucketrange',
+      'both a lower ($gt, $gte) and an upper ($lt, $lte) bound of the source field are required',
+    ));
+  }
+
+  const queries = [];
+  const lastBucketStart = getBucketStart(upperBound, granularity);
+  for (
+    let bucketStart = getBucketStart(lowerBound, granularity);
+    bucketStart <= lastBucketStart;
+    bucketStart = getNextBucketStart(bucketStart, granularity)
+  ) {
+    // an exclusive upper bound at the start of a bucket excludes the whole bucket
+    if (!(bucketStart.getTime() === upperBound.getTime() && !_.has(range, '$lte'))) {
+      queries.push(_.assign({}, queryObject, { [field]: getBucketValue(schema, bucketStart) }));
+    }
+  }
+  return isDescending(schema, queryObject) ? queries.reverse() : queries;
+};
+
+// finds the rows of a range query bucket by bucket, the rows are merged in the order of the
+// buckets, so that they keep the clustering order of the source field. With a $limit the
+// buckets are read one after the other until the limit is reached, otherwise a few at a time
+bucketing.find = (model, queryObject, options, callback) => {
+  if (options.return_query) {
+    throw (buildError(
+      'model.find.invalidbucketrange',
+      'a range of the source field is expanded into a query per bucket, so it can not be returned as a query',
+    ));
+  }
+  const bucketQueries = bucketing.get_bucket_queries(model._properties.schema, queryObject);
+  const limitKey = _.findKey(queryObject, (value, key) => key.toLowerCase() === '$limit');
+  const limit = limitKey ? queryObject[limitKey] : null;
+
+  const findBucket = (bucketQuery) => new Promise((resolve, reject) => {
+    model.find(bucketQuery, options, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+
+  let findRows;
+  if (_.isNumber(limit)) {
+    const rows = [];
+    findRows = Promise.each(bucketQueries, (bucketQuery) => {
+      if (rows.length >= limit) return null;
+      return findBucket(_.assign({}, _.omit(bucketQuery, limitKey), { $limit: limit - rows.length }))
+        .then((bucketRows) => {
+          rows.push(...bucketRows);
+        });
+    }).then(() => rows);
+  } else {
+    findRows = Promise.map(bucketQueries, findBucket, { concurrency: BUCKET_CONCURRENCY }).then(_.flatten);
+  }
+
+  findRows
+    .then((rows) => {
+      callback(null, rows);
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+// returns the select queries of the streaming and paging functions with the query object of each of them,
+// a range of the source field is expanded into a query per bucket, that are read one after the other
+bucketing.get_select_queries = (model, queryObject, options) => {
+  const getSelectQuery = (selectQueryObject) => _.assign(
+    { queryObject: selectQueryObject },
+    model.find(selectQueryObject, _.assign({}, options, { return_query: true })),
+  );
+  const schema = model._properties.schema;
+  if (!bucketing.is_range_query(schema, queryObject)) return [getSelectQuery(queryObject)];
+  if (_.some(Object.keys(queryObject), (key) => key.toLowerCase() === '$limit')) {
+    throw (buildError(
+      'model.find.invalidbucketrange',
+      '$limit is only supported by find and findOne for a range of the source field',
+    ));
+  }
+  return bucketing.get_bucket_queries(schema, queryObject).map(getSelectQuery);
+};
+
+// executes the select queries of a streaming function one after the other and calls back with the result
+// of the last one, or with the error of an invalid query instead of throwing it. The rows of all the buckets
+// of a range are read, so their pages are fetched automatically
+bucketing.execute_select_queries = (model, queryObject, options, execute, callback) => {
+  let selectQueries;
+  try {
+    selectQueries = bucketing.get_select_queries(model, queryObject, options);
+  } catch (e) {
+    callback(e);
+    return;
+  }
+
+  Promise.mapSeries(selectQueries, (selectQuery) => new Promise((resolve, reject) => {
+    const queryOptions = routing.get_find_query_options(
+      model._properties.schema,
+      selectQuery.query,
+      selectQuery.queryObject,
+      options,
+    );
+    if (selectQueries.length > 1) queryOptions.autoPage = true;
+    execute(selectQuery, queryOptions, (err, result) => {
+      if (err) reject(buildError('model.find.dberror', err));
+      else resolve(result);
+    });
+  }))
+    .then((results) => {
+      callback(null, _.last(results));
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+module.exports = bucketing;
@@ -0,0 +1,255 @@
+const _ = require('lodash');
+
+const buildError = require('./apollo_error.js');
+const normalizer = require('../utils/normalizer');
+const promisify = require('../utils/promisify');
+const partialSave = require('./partial_save');
+const uniqueConstraints = require('./unique_constraints');
+const routing = require('../utils/routing');
+
+const DEFAULT_INSERT_CONCURRENCY = 4;
+const DEFAULT_INSERT_BATCH_SIZE = 50;
+const BATCH_BY_VALUES = ['partition', 'none'];
+const INSERT_MANY_OPTIONS = ['concurrency', 'batchBy', 'batchSize'];
+
+const getPartitionKey = (schema, instance) => {
+  const partitionKey = _.isArray(schema.key[0]) ? schema.key[0] : [schema.key[0]];
+  return JSON.stringify(partitionKey.map((keyField) => instance[keyField]));
+};
+
+// builds the insert statement for each document, documents that fail validation
+// or the before_save hook get a failed result instead of stopping the whole insert
+const buildStatements = (model, docs, options, results) => {
+  const saveOptions = _.pick(options, ['if_not_exist', 'ttl']);
+  saveOptions.return_query = true;
+
+  const statements = [];
+  docs.forEach((doc, index) => {
+    try {
+      const instance = doc instanceof model ? doc : new model(doc); // eslint-disable-line new-cap
+      const saveQuery = instance.save(_.clone(saveOptions));
+      if (!saveQuery.query) {
+        // a loaded instance without modified columns, there is nothing to write
+        const afterHookResponse = saveQuery.after_hook();
+        results[index] = afterHookResponse === true
+          ? { index, success: true }
+          : { index, success: false, error: afterHookResponse };
+        return;
+      }
+      statements.push({
+        index,
+        instance,
+        query: saveQuery.query,
+        params: saveQuery.params,
+        invalidate_cache: saveQuery.invalidate_cache,
+        after_hook: saveQuery.after_hook,
+        helper_queries: (saveQuery.query_table_queries || []).concat(saveQuery.outbox_queries || []),
+      });
+    } catch (e) {
+      results[index] = { index, success: false, error: e };
+    }
+  });
+  return statements;
+};
+
+// groups the statements into units of work executed with a single request,
+// conditional inserts are never batched, so that each document gets its own applied result
+const groupStatements = (schema, statements, options) => {
+  if (options.batchBy === 'none' || options.if_not_exist) {
+    return statements.map((statement) => [statement]);
+  }
+
+  const partitions = _.groupBy(statements, (statement) => getPartitionKey(schema, statement.instance));
+  const groups = [];
+  _.forEach(partitions, (partitionStatements) => {
+    _.chunk(partitionStatements, options.batchSize).forEach((chunk) => {
+      groups.push(chunk);
+    });
+  });
+  return groups;
+};
+
+// the copies of the documents in query tables and their outbox events are written with the documents using
+// a logged batch, the statements of a group are routed to the replicas of the partition of its first statement
+const executeGroup = (model, group, options, callback) => {
+  const executeQueries = () => {
+    const helperQueries = _.flatMap(group, 'helper_queries');
+    const queryOptions = routing.apply(model._properties.schema, {
+      query: _.map(group, 'query').concat(_.map(helperQueries, 'query')),
+      keyValues: group[0].instance,
+    }, options);
+    if (group.length === 1 && helperQueries.length === 0) {
+      model.execute_query(group[0].query, group[0].params, queryOptions, callback);
+      return;
+    }
+    const queries = group.map((statement) => ({ query: statement.query, params: statement.params }));
+    const batchOptions = _.assign({}, queryOptions, { logged: helperQueries.length > 0 });
+    model.execute_batch(queries.concat(helperQueries), batchOptions, callback);
+  };
+
+  if (model.is_table_ready()) {
+    executeQueries();
+    return;
+  }
+  model.init((err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    executeQueries();
+  });
+};
+
+// the unique values of a document are claimed before it's written, so the documents of a model with
+// unique fields can not be batched and are saved one by one instead, calls back with the result
+const saveDocument = (model, doc, index, options, callback) => {
+  let instance;
+  try {
+    instance = doc instanceof model ? doc : new model(doc); // eslint-disable-line new-cap
+  } catch (e) {
+    callback({ index, success: false, error: e });
+    return;
+  }
+  instance.save(_.omit(options, INSERT_MANY_OPTIONS), (err, result) => {
+    if (err) {
+      callback({ index, success: false, error: err });
+      return;
+    }
+    if (options.if_not_exist && !(result.rows && result.rows[0] && result.rows[0]['[applied]'])) {
+      callback({ index, success: false, applied: false });
+      return;
+    }
+    const docResult = { index, success: true };
+    if (options.if_not_exist) docResult.applied = true;
+    callback(docResult);
+  });
+};
+
+// executes the tasks with a bounded concurrency, each task calls back once it's done
+const executeTasks = (tasks, concurrency, callback) => {
+  let nextTaskIndex = 0;
+  const worker = () => {
+    if (nextTaskIndex >= tasks.length) return Promise.resolve();
+    const task = tasks[nextTaskIndex++];
+    return new Promise((resolve) => {
+      task(resolve);
+    }).then(worker);
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+    workers.push(worker());
+  }
+
+  Promise.all(workers)
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+// the cached rows of the written documents are invalidated before their after hooks are called
+const invalidateGroup = (group, callback) => {
+  Promise.all(group.map((statement) => new Promise((resolve) => statement.invalidate_cache(resolve))))
+    .then(() => {
+      callback();
+    });
+};
+
+const bulk = {};
+
+bulk.insertMany = function f(docs, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.insertMany(docs, options, cb), f);
+  }
+
+  const defaults = {
+    concurrency: DEFAULT_INSERT_CONCURRENCY,
+    batchBy: 'partition',
+    batchSize: DEFAULT_INSERT_BATCH_SIZE,
+    prepare: true,
+  };
+
+  options = _.defaults({}, options, defaults);
+
+  if (!_.isArray(docs)) {
+    callback(buildError('model.save.insertmanyerror', 'docs must be an array'));
+    return undefined;
+  }
+  if (!BATCH_BY_VALUES.includes(options.batchBy)) {
+    callback(buildError('model.save.insertmanyerror', `batchBy must be one of ${BATCH_BY_VALUES.join(', ')}`));
+    return undefined;
+  }
+  if (!_.isInteger(options.concurrency) || options.concurrency < 1) {
+    callback(buildError('model.save.insertmanyerror', 'concurrency must be a positive integer'));
+    return undefined;
+  }
+  if (!_.isInteger(options.batchSize) || options.batchSize < 1) {
+    callback(buildError('model.save.insertmanyerror', 'batchSize must be a positive integer'));
+    return undefined;
+  }
+
+  const schema = this._properties.schema;
+  const results = new Array(docs.length);
+  const onTasksDone = (err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, results);
+  };
+
+  if (uniqueConstraints.is_enabled(schema)) {
+    executeTasks(docs.map((doc, index) => (done) => {
+      saveDocument(this, doc, index, options, (docResult) => {
+        results[index] = docResult;
+        done();
+      });
+    }), options.concurrency, onTasksDone);
+    return undefined;
+  }
+
+  const groups = groupStatements(schema, buildStatements(this, docs, options, results), options);
+  const queryOptions = normalizer.normalize_query_option(options);
+
+  const onGroupDone = (group, err, result) => {
+    group.forEach((statement) => {
+      const { index, instance } = statement;
+      if (err) {
+        results[index] = { index, success: false, error: buildError('model.save.dberror', err) };
+        return;
+      }
+      if (options.if_not_exist && !(result.rows && result.rows[0] && result.rows[0]['[applied]'])) {
+        results[index] = { index, success: false, applied: false };
+        return;
+      }
+      instance._modified = {};
+      partialSave.track_loaded_values(instance);
+      const afterHookResponse = statement.after_hook(result);
+      if (afterHookResponse !== true) {
+        results[index] = { index, success: false, error: afterHookResponse };
+        return;
+      }
+      results[index] = { index, success: true };
+      if (options.if_not_exist) results[index].applied = true;
+    });
+  };
+
+  executeTasks(groups.map((group) => (done) => {
+    executeGroup(this, group, queryOptions, (err, result) => {
+      invalidateGroup(group, () => {
+        onGroupDone(group, err, result);
+        done();
+      });
+    });
+  }), options.concurrency, onTasksDone);
+  return undefined;
+};
+
+module.exports = bulk;
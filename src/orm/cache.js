@@ -0,0 +1,180 @@
+const _ = require('lodash');
+
+const debug = require('debug')('express-cassandra');
+
+const buildError = require('./apollo_error.js');
+const MemoryStore = require('../helpers/memory_store');
+
+const DEFAULT_CACHE_TTL = 60;
+const STORE_METHODS = ['get', 'set', 'del', 'clear'];
+
+// these options change the columns or the source of the result, so their rows are not cached
+const UNCACHEABLE_FIND_OPTIONS = [
+  'select', 'distinct', 'materialized_view', 'query_table', 'writetime', 'ttl', '$groupby', 'return_query',
+];
+
+const getKeyFields = (schema) => _.flatten(schema.key);
+
+// values like uuids or longs may be given as strings, so they are compared by their string form
+const getValueString = (value) => (_.isPlainObject(value) || _.isArray(value) ? JSON.stringify(value) : String(value));
+
+const isPlainValue = (value) => !_.isNil(value) && !_.isPlainObject(value) && !_.isArray(value);
+
+const getModelCache = (model) => {
+  const properties = model._properties;
+  const cacheOption = properties.schema.options && properties.schema.options.cache;
+  if (!properties.cache || !cacheOption) return null;
+  return {
+    store: properties.cache.store,
+    ttl: _.isPlainObject(cacheOption) && _.isNumber(cacheOption.ttl) ? cacheOption.ttl : properties.cache.ttl,
+  };
+};
+
+const getPrefix = (model) => `${model._properties.keyspace}.${model._properties.table_name}:`;
+
+const getKey = (model, keyValues) => {
+  const keyFields = getKeyFields(model._properties.schema);
+  return getPrefix(model) + JSON.stringify(keyFields.map((fieldName) => getValueString(keyValues[fieldName])));
+};
+
+// the rows are copied, so that modifications of the model instances do not change the cached rows
+const toCachedRow = (row) => {
+  const cachedRow = _.cloneDeep(_.assign({}, row));
+  delete cachedRow.columns;
+  return cachedRow;
+};
+
+// only queries for a single row by its whole primary key are served from the cache
+const getCacheableKeyValues = (schema, queryObject, options) => {
+  if (options.cache === false || UNCACHEABLE_FIND_OPTIONS.some((optionName) => options[optionName])) return null;
+  const keyFields = getKeyFields(schema);
+  const queryFields = Object.keys(queryObject).filter((fieldName) => fieldName !== '$limit');
+  if (queryFields.length !== keyFields.length) return null;
+  if (!keyFields.every((fieldName) => isPlainValue(queryObject[fieldName]))) return null;
+  return _.pick(queryObject, keyFields);
+};
+
+// returns the primary keys of all the rows a write query may modify, or null if they are not known
+const getKeyValuesList = (schema, queryObject) => getKeyFields(schema).reduce((keyValuesList, fieldName) => {
+  if (!keyValuesList) return null;
+  const value = queryObject[fieldName];
+  let values;
+  if (isPlainValue(value)) {
+    values = [value];
+  } else if (_.isPlainObject(value) && _.size(value) === 1 && _.isArray(value.$in)) {
+    values = value.$in;
+  } else if (_.isPlainObject(value) && _.size(value) === 1 && isPlainValue(value.$eq)) {
+    values = [value.$eq];
+  } else {
+    return null;
+  }
+  return _.flatMap(keyValuesList, (keyValues) => values.map((keyValue) => (
+    _.assign({}, keyValues, { [fieldName]: keyValue })
+  )));
+}, [{}]);
+
+// a failed invalidation does not fail the write, the stale entries expire with the cache ttl
+const onInvalidated = (model, callback) => (err) => {
+  if (err) debug('cache invalidation failed for table %s: %s', model._properties.table_name, err.message);
+  callback();
+};
+
+const deleteKeys = (model, modelCache, keyValuesList, callback) => {
+  keyValuesList.reduce((previous, keyValues) => previous.then(() => new Promise((resolve, reject) => {
+    modelCache.store.del(getKey(model, keyValues), (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  })), Promise.resolve())
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+const cache = {};
+
+cache.get_config = (cacheOptions) => {
+  const store = cacheOptions.store || new MemoryStore({ max: cacheOptions.max });
+  if (!STORE_METHODS.every((methodName) => typeof store[methodName] === 'function')) {
+    throw (buildError('model.validator.invalidconfig', 'cache store must implement get, set, del and clear functions'));
+  }
+  return {
+    store,
+    ttl: _.isNumber(cacheOptions.ttl) ? cacheOptions.ttl : DEFAULT_CACHE_TTL,
+  };
+};
+
+cache.is_enabled = (model) => getModelCache(model) !== null;
+
+// the raw result rows are cached, so that the cached rows can be mapped according to the options of each query,
+// errors of the store are not passed to the callback, the rows are read from the db in that case
+cache.execute_find = (model, queryObject, options, execute, callback) => {
+  const modelCache = getModelCache(model);
+  const keyValues = modelCache && getCacheableKeyValues(model._properties.schema, queryObject, options);
+  if (!keyValues) {
+    execute(callback);
+    return;
+  }
+
+  const key = getKey(model, keyValues);
+  modelCache.store.get(key, (err, cachedRow) => {
+    if (err) debug('cache read failed for key %s: %s', key, err.message);
+    if (!err && !_.isNil(cachedRow)) {
+      callback(null, { rows: [_.cloneDeep(cachedRow)] });
+      return;
+    }
+
+    execute((err1, results) => {
+      if (err1 || results.rows.length === 0) {
+        callback(err1, results);
+        return;
+      }
+      modelCache.store.set(key, toCachedRow(results.rows[0]), modelCache.ttl, (err2) => {
+        if (err2) debug('cache write failed for key %s: %s', key, err2.message);
+        callback(null, results);
+      });
+    });
+  });
+};
+
+// invalidates the rows matching the query of an update or delete, all the
+// cached rows of the model are invalidated if their keys can not be determined
+cache.invalidate = (model, queryObject, callback) => {
+  const modelCache = getModelCache(model);
+  if (!modelCache) {
+    callback();
+    return;
+  }
+
+  const keyValuesList = getKeyValuesList(model._properties.schema, queryObject);
+  if (!keyValuesList) {
+    modelCache.store.clear(getPrefix(model), onInvalidated(model, callback));
+    return;
+  }
+  deleteKeys(model, modelCache, keyValuesList, onInvalidated(model, callback));
+};
+
+// a saved row with a primary key generated by a db function can not be cached yet
+cache.invalidate_row = (model, row, callback) => {
+  const modelCache = getModelCache(model);
+  const keyFields = getKeyFields(model._properties.schema);
+  if (!modelCache || !keyFields.every((fieldName) => isPlainValue(row[fieldName]))) {
+    callback();
+    return;
+  }
+  deleteKeys(model, modelCache, [_.pick(row, keyFields)], onInvalidated(model, callback));
+};
+
+cache.clear = (model, callback) => {
+  const modelCache = getModelCache(model);
+  if (!modelCache) {
+    callback();
+    return;
+  }
+  modelCache.store.clear(getPrefix(model), onInvalidated(model, callback));
+};
+
+module.exports = cache;
@@ -0,0 +1,189 @@
+const _ = require('lodash');
+
+const graph = {};
+
+graph._execute_gremlin_query = function f(script, bindings, callback) {
+  const gremlinClient = this.get_gremlin_client();
+  gremlinClient.execute(script, bindings, (err, results) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, results);
+  });
+};
+
+graph._execute_gremlin_script = function f(script, bindings, callback) {
+  this._execute_gremlin_query(script, bindings, (err, results) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, results[0]);
+  });
+};
+
+graph.createVertex = function f(vertexProperties, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  const __vertexLabel = properties.table_name;
+  let script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    vertex = graph.addVertex(__vertexLabel);
+  `;
+  Object.keys(vertexProperties).forEach((property) => {
+    script += `vertex.property('${property}', ${property});`;
+  });
+  script += 'vertex';
+  const bindings = _.defaults(vertexProperties, {
+    __graphName,
+    __vertexLabel,
+  });
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.getVertex = function f(__vertexId, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  const script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    vertex = g.V(__vertexId);
+  `;
+  const bindings = {
+    __graphName,
+    __vertexId,
+  };
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.updateVertex = function f(__vertexId, vertexProperties, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  let script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    vertex = g.V(__vertexId);
+  `;
+  Object.keys(vertexProperties).forEach((property) => {
+    script += `vertex.property('${property}', ${property});`;
+  });
+  script += 'vertex';
+  const bindings = _.defaults(vertexProperties, {
+    __graphName,
+    __vertexId,
+  });
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.deleteVertex = function f(__vertexId, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  const script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    vertex = g.V(__vertexId);
+    vertex.drop();
+  `;
+  const bindings = {
+    __graphName,
+    __vertexId,
+  };
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.createEdge = function f(__edgeLabel, __fromVertexId, __toVertexId, edgeProperties, callback) {
+  if (arguments.length === 4 && typeof edgeProperties === 'function') {
+    callback = edgeProperties;
+    edgeProperties = {};
+  }
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  let script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    fromVertex = g.V(__fromVertexId).next();
+    toVertex = g.V(__toVertexId).next();
+    edge = fromVertex.addEdge(__edgeLabel, toVertex);
+  `;
+  Object.keys(edgeProperties).forEach((property) => {
+    script += `edge.property('${property}', ${property});`;
+  });
+  script += 'edge';
+  const bindings = _.defaults(edgeProperties, {
+    __graphName,
+    __fromVertexId,
+    __toVertexId,
+    __edgeLabel,
+  });
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.getEdge = function f(__edgeId, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  const script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    edge = g.E(__edgeId);
+  `;
+  const bindings = {
+    __graphName,
+    __edgeId,
+  };
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.updateEdge = function f(__edgeId, edgeProperties, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  let script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    edge = g.E(__edgeId);
+  `;
+  Object.keys(edgeProperties).forEach((property) => {
+    script += `edge.property('${property}', ${property});`;
+  });
+  script += 'edge';
+  const bindings = _.defaults(edgeProperties, {
+    __graphName,
+    __edgeId,
+  });
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.deleteEdge = function f(__edgeId, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  const script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    edge = g.E(__edgeId);
+    edge.drop();
+  `;
+  const bindings = {
+    __graphName,
+    __edgeId,
+  };
+  this._execute_gremlin_script(script, bindings, callback);
+};
+
+graph.graphQuery = function f(query, params, callback) {
+  const properties = this._properties;
+  const __graphName = `${properties.keyspace}_graph`;
+  const __vertexLabel = properties.table_name;
+  let script = `
+    graph = ConfiguredGraphFactory.open(__graphName);
+    g = graph.traversal();
+    vertices = g.V().hasLabel(__vertexLabel);
+  `;
+  script += query;
+  const bindings = _.defaults(params, {
+    __graphName,
+    __vertexLabel,
+  });
+  this._execute_gremlin_query(script, bindings, callback);
+};
+
+module.exports = graph;
@@ -0,0 +1,226 @@
+const _ = require('lodash');
+const util = require('util');
+
+let dseDriver;
+try {
+  // eslint-disable-next-line import/no-extraneous-dependencies, import/no-unresolved
+  dseDriver = require('dse-driver');
+} catch (e) {
+  dseDriver = null;
+}
+
+const cql = dseDriver || require('cassandra-driver');
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+const promisify = require('../utils/promisify');
+
+const LOAD_BATCH_SIZE = 100;
+const COLLECTION_TYPES = ['map', 'list', 'set'];
+
+const getKeyFields = (schema) => _.flatten(schema.key);
+
+// values like longs are compared by their string form, the dates of timestamps by their time
+const getValueString = (fieldType, value) => {
+  if (_.isPlainObject(value) || _.isArray(value)) return JSON.stringify(value);
+  if (fieldType === 'timestamp' && value instanceof Date) return String(value.getTime());
+  return String(value);
+};
+
+const getKeyString = (schema, keyFields, keyValues) => (
+  JSON.stringify(keyFields.map((fieldName) => (
+    getValueString(schemer.get_field_type(schema, fieldName), keyValues[fieldName])
+  )))
+);
+
+const isPlainValue = (value) => !_.isNil(value) && !_.isPlainObject(value) && !_.isArray(value);
+
+// uuids, timestamps and dates may be given in their string form, they are converted to the
+// values returned by the driver for the type of the column, so that the loaded rows match the keys
+const normalizeKeyValue = (fieldType, value) => {
+  if (fieldType === 'uuid' && _.isString(value)) return cql.types.Uuid.fromString(value);
+  if (fieldType === 'timeuuid' && _.isString(value)) return cql.types.TimeUuid.fromString(value);
+  if (fieldType === 'timestamp' && !(value instanceof Date)) return new Date(value);
+  if (fieldType === 'date' && _.isString(value)) return cql.types.LocalDate.fromString(value);
+  if (fieldType === 'date' && value instanceof Date) return cql.types.LocalDate.fromDate(value);
+  return value;
+};
+
+// the key of a model with a single primary key field can be given as a plain value
+const normalizeKey = (schema, key) => {
+  const keyFields = getKeyFields(schema);
+  const keyValues = keyFields.length === 1 && !_.isPlainObject(key) ? { [keyFields[0]]: key } : key;
+  if (!_.isPlainObject(keyValues) || !keyFields.every((fieldName) => isPlainValue(keyValues[fieldName]))) {
+    throw (buildError(
+      'model.find.invalidloadkey',
+      util.format('a key must contain a value for each primary key field: %s', keyFields.join(', ')),
+    ));
+  }
+  return _.mapValues(_.pick(keyValues, keyFields), (value, fieldName) => {
+    try {
+      return normalizeKeyValue(schemer.get_field_type(schema, fieldName), value);
+    } catch (e) {
+      throw (buildError('model.find.invalidloadkey', util.format('invalid value of the key field: %s', fieldName)));
+    }
+  });
+};
+
+// the batch is dispatched after the promise jobs of the current tick have run,
+// so that the keys loaded in promise callbacks of the same tick are batched as well
+const enqueueDispatch = (dispatch) => {
+  Promise.resolve().then(() => {
+    process.nextTick(dispatch);
+  });
+};
+
+const hasCollectionFields = (schema) => Object.keys(schema.fields).some((fieldName) => (
+  !schema.fields[fieldName].virtual && COLLECTION_TYPES.includes(schemer.get_field_type(schema, fieldName))
+));
+
+// the keys are grouped by all the primary key fields except the last one, which is queried using IN,
+// so the rows of a model with clustering columns are loaded using one query per partition. Cassandra
+// versions before 4.0 reject IN restrictions on clustering columns if collections are selected, so
+// the rows of such models are loaded using one query per key
+const getBatchQueries = (schema, entries) => {
+  const keyFields = getKeyFields(schema);
+  const hasClusteringColumns = keyFields.length > (_.isArray(schema.key[0]) ? schema.key[0].length : 1);
+  const groupFields = hasClusteringColumns && hasCollectionFields(schema) ? keyFields : keyFields.slice(0, -1);
+  const inField = _.last(keyFields);
+  const groups = _.groupBy(entries, (entry) => getKeyString(schema, groupFields, entry.keyValues));
+
+  return _.flatMap(_.values(groups), (groupEntries) => _.chunk(groupEntries, LOAD_BATCH_SIZE).map((batchEntries) => {
+    const queryObject = _.pick(batchEntries[0].keyValues, groupFields);
+    queryObject[inField] = batchEntries.length === 1
+      ? batchEntries[0].keyValues[inField]
+      : { $in: batchEntries.map((entry) => entry.keyValues[inField]) };
+    return { queryObject, entries: batchEntries };
+  }));
+};
+
+// coalesces the primary key lookups of a tick into batched queries, a memoizing loader
+// also keeps the loaded rows, so it should only be used for a single request
+const Loader = function f(model, options) {
+  options = options || {};
+  this._model = model;
+  this._memoize = options.memoize === true;
+  this._entries = new Map();
+  this._batch = null;
+};
+
+Loader.prototype = {
+  _get_key_fields() {
+    return getKeyFields(this._model._properties.schema);
+  },
+
+  _get_key_string(keyValues) {
+    return getKeyString(this._model._properties.schema, this._get_key_fields(), keyValues);
+  },
+
+  _dispatch(entries) {
+    getBatchQueries(this._model._properties.schema, entries).forEach((batchQuery) => {
+      this._model.find(batchQuery.queryObject, (err, rows) => {
+        const rowsByKey = err ? {} : _.keyBy(rows, (row) => this._get_key_string(row));
+        batchQuery.entries.forEach((entry) => {
+          this._resolve(entry, err, rowsByKey[entry.keyString] || null);
+        });
+      });
+    });
+  },
+
+  // failed loads are never memoized, so that they are retried by the next load
+  _resolve(entry, err, row) {
+    const callbacks = entry.callbacks;
+    entry.callbacks = [];
+    if (err || !this._memoize) {
+      this._entries.delete(entry.keyString);
+    } else {
+      entry.loaded = true;
+      entry.row = row;
+    }
+    callbacks.forEach((callback) => {
+      callback(err, row);
+    });
+  },
+
+  load(key, callback) {
+    if (typeof callback !== 'function') {
+      return promisify((cb) => this.load(key, cb), Loader.prototype.load);
+    }
+
+    let keyValues;
+    try {
+      keyValues = normalizeKey(this._model._properties.schema, key);
+    } catch (e) {
+      callback(e);
+      return undefined;
+    }
+
+    const keyString = this._get_key_string(keyValues);
+    let entry = this._entries.get(keyString);
+    if (entry && entry.loaded) {
+      process.nextTick(() => {
+        callback(null, entry.row);
+      });
+      return undefined;
+    }
+
+    // a key that is already part of a pending batch is not loaded again
+    if (!entry) {
+      entry = { keyString, keyValues, callbacks: [] };
+      this._entries.set(keyString, entry);
+      if (!this._batch) {
+        const batch = [];
+        this._batch = batch;
+        enqueueDispatch(() => {
+          this._batch = null;
+          this._dispatch(batch);
+        });
+      }
+      this._batch.push(entry);
+    }
+    entry.callbacks.push(callback);
+    return undefined;
+  },
+
+  loadMany(keys, callback) {
+    if (typeof callback !== 'function') {
+      return promisify((cb) => this.loadMany(keys, cb), Loader.prototype.loadMany);
+    }
+
+    if (!_.isArray(keys)) {
+      callback(buildError('model.find.invalidloadkey', 'loadMany expects an array of keys'));
+      return undefined;
+    }
+
+    Promise.all(keys.map((key) => new Promise((resolve, reject) => {
+      this.load(key, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    })))
+      .then((rows) => {
+        callback(null, rows);
+      })
+      .catch((err) => {
+        callback(err);
+      });
+    return undefined;
+  },
+
+  // removes a memoized row, so that it's loaded again after it was modified
+  clear(key) {
+    const keyString = this._get_key_string(normalizeKey(this._model._properties.schema, key));
+    const entry = this._entries.get(keyString);
+    if (entry && entry.loaded) this._entries.delete(keyString);
+    return this;
+  },
+
+  clearAll() {
+    this._entries.forEach((entry, keyString) => {
+      if (entry.loaded) this._entries.delete(keyString);
+    });
+    return this;
+  },
+};
+
+module.exports = Loader;
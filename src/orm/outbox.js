@@ -0,0 +1,413 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+const util = require('util');
+
+let dseDriver;
+try {
+  // eslint-disable-next-line import/no-extraneous-dependencies, import/no-unresolved
+  dseDriver = require('dse-driver');
+} catch (e) {
+  dseDriver = null;
+}
+
+const cql = Promise.promisifyAll(dseDriver || require('cassandra-driver'));
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+const promisify = require('../utils/promisify');
+const Driver = require('../helpers/driver');
+const TableBuilder = require('../builders/table');
+
+const DEFAULT_TABLE_NAME = 'outbox';
+const DEFAULT_PARTITIONS = 16;
+const DEFAULT_DELAY = 1000;
+const DEFAULT_POLL_LIMIT = 100;
+const DEFAULT_CONSUMER = 'default';
+const POLL_CONCURRENCY = 8;
+
+const EVENT_COLUMNS = [
+  'partition', 'event_id', 'keyspace_name', 'model', 'primary_key', 'operation', 'changed_fields', 'payload',
+];
+
+const EVENT_TABLE_SCHEMA = {
+  fields: {
+    partition: 'int',
+    event_id: 'timeuuid',
+    keyspace_name: 'text',
+    model: 'text',
+    primary_key: 'text',
+    operation: 'text',
+    changed_fields: { type: 'list', typeDef: '<text>' },
+    payload: 'text',
+  },
+  key: [['partition'], 'event_id'],
+  clustering_order: { event_id: 'asc' },
+};
+
+const CHECKPOINT_TABLE_SCHEMA = {
+  fields: {
+    consumer: 'text',
+    partition: 'int',
+    event_id: 'timeuuid',
+  },
+  key: [['consumer'], 'partition'],
+};
+
+const isPositiveInteger = (value) => _.isInteger(value) && value > 0;
+
+// a stable string hash, so that the events of a row are always written to the same partition
+const getPartition = (hashKey, partitions) => {
+  let hash = 0;
+  for (let i = 0; i < hashKey.length; i++) {
+    hash = ((hash * 31) + hashKey.charCodeAt(i)) % 2147483647;
+  }
+  return hash % partitions;
+};
+
+// the db function defaults like now() are only known after the write, so they are not part of the payload
+const getRow = (instance) => {
+  const schema = instance.constructor._properties.schema;
+  const row = {};
+  Object.keys(schema.fields).forEach((fieldName) => {
+    if (schema.fields[fieldName].virtual) return;
+    const value = instance[fieldName];
+    if (_.isUndefined(value) || (_.isPlainObject(value) && value.$db_function)) return;
+    row[fieldName] = value;
+  });
+  return row;
+};
+
+// the keys of the rows written by an update or delete, resolved from the equality and $in conditions
+// of the primary key fields, or null if the query does not contain the whole primary key that way
+const getKeys = (schema, queryObject) => _.flatten(schema.key).reduce((keys, fieldName) => {
+  if (keys === null) return null;
+  let values = [queryObject[fieldName]];
+  if (_.isPlainObject(queryObject[fieldName])) {
+    const operators = Object.keys(queryObject[fieldName]);
+    if (operators.length !== 1) return null;
+    if (operators[0] === '$eq') values = [queryObject[fieldName].$eq];
+    else if (operators[0] === '$in' && _.isArray(queryObject[fieldName].$in)) values = queryObject[fieldName].$in;
+    else return null;
+  }
+  if (values.some((value) => _.isNil(value) || _.isPlainObject(value))) return null;
+  return _.flatMap(keys, (key) => values.map((value) => _.assign({}, key, { [fieldName]: value })));
+}, [{}]);
+
+// events are read after a timeuuid, given as the event id of a polled event or as the date to start from
+const getSinceTimeuuid = (since) => {
+  if (_.isNil(since)) return null;
+  if (since instanceof Date) return cql.types.TimeUuid.min(since);
+  if (since instanceof cql.types.Uuid) return since;
+  if (_.isString(since)) {
+    try {
+      return cql.types.TimeUuid.fromString(since);
+    } catch (e) {
+      throw (buildError('model.outbox.invalidoptions', util.format('since is not a valid timeuuid: %s', since)));
+    }
+  }
+  throw (buildError('model.outbox.invalidoptions', 'since must be a date or the event id of a polled event'));
+};
+
+const getEventTime = (event) => event.createdAt.getTime();
+
+const getEvent = (row) => ({
+  partition: row.partition,
+  eventId: row.event_id,
+  createdAt: row.event_id.getDate(),
+  keyspace: row.keyspace_name,
+  model: row.model,
+  key: JSON.parse(row.primary_key),
+  operation: row.operation,
+  changedFields: row.changed_fields || [],
+  payload: _.isNil(row.payload) ? null : JSON.parse(row.payload),
+});
+
+// the change events of the models with the outbox option are written to the outbox table of the orm
+// in the logged batch of the write, the events of a row are written to the same partition of the table,
+// so that the consumers read them in the order of the writes
+const Outbox = function f(orm, options) {
+  if (!_.isNil(options) && options !== true && !_.isPlainObject(options)) {
+    throw (buildError('model.validator.invalidconfig', 'outbox must be either true or an object of outbox options'));
+  }
+  options = _.isPlainObject(options) ? options : {};
+  const tableName = _.isNil(options.tableName) ? DEFAULT_TABLE_NAME : options.tableName;
+  if (!schemer.validate_table_name(tableName)) {
+    throw (buildError('model.validator.invalidconfig', util.format('outbox tableName is invalid: %s', tableName)));
+  }
+  ['partitions', 'ttl'].forEach((optionName) => {
+    if (!_.isNil(options[optionName]) && !isPositiveInteger(options[optionName])) {
+      throw (buildError('model.validator.invalidconfig', util.format('outbox %s must be a positive integer', optionName)));
+    }
+  });
+  if (!_.isNil(options.delay) && !(_.isNumber(options.delay) && options.delay >= 0)) {
+    throw (buildError('model.validator.invalidconfig', 'outbox delay must be a number of milliseconds'));
+  }
+
+  this._table_name = tableName;
+  this._checkpoint_table_name = `${tableName}_checkpoints`;
+  this._partitions = options.partitions || DEFAULT_PARTITIONS;
+  this._ttl = options.ttl || null;
+  this._delay = _.isNil(options.delay) ? DEFAULT_DELAY : options.delay;
+  this._synced = null;
+
+  // the clients are read from the orm, as they are created when the orm is initialized
+  this._properties = {
+    name: tableName,
+    keyspace: orm.get_keyspace_name(),
+    table_name: tableName,
+    init: orm.init.bind(orm),
+    createTable: orm._options.createTable,
+    disableTTYConfirmation: orm._options.disableTTYConfirmation,
+    instrumentation: orm._instrumentation,
+    query_defaults: orm._query_defaults,
+  };
+  Object.defineProperties(this._properties, {
+    cql: { get: () => orm._client, enumerable: true },
+    define_connection: { get: () => orm._define_connection, enumerable: true },
+  });
+  this._driver = new Driver(this._properties);
+};
+
+Outbox.prototype = {
+  // the outbox tables are in the keyspace of the orm, also for the models of tenants
+  _get_qualified_table_name(tableName) {
+    const keyspaceName = this._properties.keyspace;
+    return keyspaceName ? util.format('"%s"."%s"', keyspaceName, tableName) : util.format('"%s"', tableName);
+  },
+
+  _get_event_query(model, operation, keyValues, changedFields, payload) {
+    const properties = model._properties;
+    const primaryKey = JSON.stringify(_.pick(keyValues, _.flatten(properties.schema.key)));
+    const partition = getPartition(util.format('%s.%s:%s', properties.keyspace, properties.name, primaryKey), this._partitions);
+    const params = [
+      partition,
+      cql.types.TimeUuid.now(),
+      properties.keyspace,
+      properties.name,
+      primaryKey,
+      operation,
+      changedFields,
+      _.isNil(payload) ? null : JSON.stringify(payload),
+    ];
+    let query = util.format(
+      'INSERT INTO %s ( %s ) VALUES ( %s )',
+      this._get_qualified_table_name(this._table_name),
+      EVENT_COLUMNS.map((column) => util.format('"%s"', column)).join(' , '),
+      EVENT_COLUMNS.map(() => '?').join(' , '),
+    );
+    if (this._ttl) {
+      query += ' USING TTL ?';
+      params.push(this._ttl);
+    }
+    return { query: `${query};`, params };
+  },
+
+  is_enabled(schema) {
+    return !!(schema.options && schema.options.outbox);
+  },
+
+  // lightweight transactions can not be part of a batch spanning multiple tables, and an event is written
+  // for each row of an update or delete, so the keys of the rows must be known from the query
+  validate_options(schema, operation, options, queryObject) {
+    if (!this.is_enabled(schema)) return;
+    if (options.if_not_exist || options.if_exists || options.conditions) {
+      throw (buildError(
+        `model.${operation}.outboxerror`,
+        'lightweight transactions are not supported for models with the outbox option',
+      ));
+    }
+    if (queryObject && getKeys(schema, queryObject) === null) {
+      throw (buildError(
+        `model.${operation}.outboxerror`,
+        'the whole primary key must be given using equality or $in conditions',
+      ));
+    }
+  },
+
+  // the changed fields of a partial save are the ones written, otherwise all the fields of the instance
+  get_save_queries(instance, changedFields) {
+    const model = instance.constructor;
+    if (!this.is_enabled(model._properties.schema)) return [];
+    const row = getRow(instance);
+    return [this._get_event_query(model, 'save', instance, changedFields || Object.keys(row), row)];
+  },
+
+  get_update_queries(model, queryObject, updateValues) {
+    if (!this.is_enabled(model._properties.schema)) return [];
+    const definedValues = _.omitBy(updateValues, _.isUndefined);
+    return getKeys(model._properties.schema, queryObject).map((key) => (
+      this._get_event_query(model, 'update', key, Object.keys(definedValues), definedValues)
+    ));
+  },
+
+  get_delete_queries(model, queryObject, options) {
+    if (!this.is_enabled(model._properties.schema)) return [];
+    let columns = [];
+    if (options.columns) columns = _.isArray(options.columns) ? options.columns : Object.keys(options.columns);
+    return getKeys(model._properties.schema, queryObject).map((key) => (
+      this._get_event_query(model, 'delete', key, columns, null)
+    ));
+  },
+
+  // the tables are created once, unless it fails
+  sync(callback) {
+    if (!this._synced) {
+      this._synced = new Promise((resolve, reject) => {
+        this._driver.ensure_init((err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const tableBuilder = new TableBuilder(this._driver, this._properties);
+          tableBuilder._sync_helper_tables([
+            { table_name: this._table_name, schema: EVENT_TABLE_SCHEMA },
+            { table_name: this._checkpoint_table_name, schema: CHECKPOINT_TABLE_SCHEMA },
+          ], 'safe', (err1) => {
+            if (err1) reject(err1);
+            else resolve();
+          });
+        });
+      }).catch((err) => {
+        this._synced = null;
+        throw err;
+      });
+    }
+    this._synced
+      .then(() => {
+        callback();
+      })
+      .catch((err) => {
+        callback(err);
+      });
+  },
+
+  _execute_query(query, params) {
+    return new Promise((resolve, reject) => {
+      this._driver.execute_query(query, params, { prepare: true }, (err, result) => {
+        if (err) reject(buildError('model.outbox.dberror', err));
+        else resolve(result);
+      });
+    });
+  },
+
+  _get_checkpoints(consumer) {
+    const query = util.format(
+      'SELECT "partition", "event_id" FROM %s WHERE "consumer" = ?;',
+      this._get_qualified_table_name(this._checkpoint_table_name),
+    );
+    return this._execute_query(query, [consumer]).then((result) => (
+      _.fromPairs(result.rows.map((row) => [row.partition, row.event_id]))
+    ));
+  },
+
+  _read_partition(partition, since, until, limit) {
+    let query = util.format(
+      'SELECT * FROM %s WHERE "partition" = ? AND "event_id" <= ?',
+      this._get_qualified_table_name(this._table_name),
+    );
+    const params = [partition, until];
+    if (since) {
+      query += ' AND "event_id" > ?';
+      params.push(since);
+    }
+    query += ' LIMIT ?;';
+    params.push(limit);
+    return this._execute_query(query, params).then((result) => result.rows.map(getEvent));
+  },
+
+  // reads the events after the given since or else after the checkpoints of the consumer, the events
+  // of the last delay milliseconds are not read yet, so that the events of writes still in flight, with
+  // an earlier event id than the ones read already, are not skipped
+  poll(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      return promisify((cb) => this.poll(options, cb), Outbox.prototype.poll);
+    }
+
+    options = _.defaults({}, options, { limit: DEFAULT_POLL_LIMIT, consumer: DEFAULT_CONSUMER });
+    let since;
+    try {
+      if (!isPositiveInteger(options.limit)) {
+        throw (buildError('model.outbox.invalidoptions', 'limit must be a positive integer'));
+      }
+      since = getSinceTimeuuid(options.since);
+    } catch (e) {
+      callback(e);
+      return undefined;
+    }
+    const until = cql.types.TimeUuid.max(new Date(Date.now() - this._delay));
+
+    const syncAsync = Promise.promisify(this.sync, { context: this });
+    syncAsync()
+      .then(() => (since ? {} : this._get_checkpoints(options.consumer)))
+      .then((checkpoints) => Promise.map(_.range(this._partitions), (partition) => (
+        this._read_partition(partition, since || checkpoints[partition], until, options.limit)
+      ), { concurrency: POLL_CONCURRENCY }))
+      // the sort is stable, so that the events of a partition keep their order
+      .then((partitionEvents) => _.take(_.sortBy(_.flatten(partitionEvents), getEventTime), options.limit))
+      .then((events) => {
+        callback(null, events);
+      })
+      .catch((err) => {
+        callback(err);
+      });
+    return undefined;
+  },
+
+  // moves the checkpoints of the consumer to the last of the given events of each partition,
+  // the checkpoints of a consumer are in one partition, so they are written in one batch
+  ack(events, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      return promisify((cb) => this.ack(events, options, cb), Outbox.prototype.ack);
+    }
+
+    options = _.defaults({}, options, { consumer: DEFAULT_CONSUMER });
+    events = _.castArray(events);
+    if (!events.every((event) => _.isPlainObject(event) && _.isInteger(event.partition) && !_.isNil(event.eventId))) {
+      callback(buildError('model.outbox.invalidoptions', 'the acknowledged events must be events returned by poll'));
+      return undefined;
+    }
+    const checkpoints = {};
+    events.forEach((event) => {
+      checkpoints[event.partition] = event.eventId;
+    });
+    const query = util.format(
+      'INSERT INTO %s ( "consumer" , "partition" , "event_id" ) VALUES ( ? , ? , ? );',
+      this._get_qualified_table_name(this._checkpoint_table_name),
+    );
+    const queries = _.map(checkpoints, (eventId, partition) => ({
+      query,
+      params: [options.consumer, Number(partition), eventId],
+    }));
+
+    const executeQueries = () => {
+      if (queries.length === 1) return this._execute_query(queries[0].query, queries[0].params);
+      return new Promise((resolve, reject) => {
+        this._driver.execute_batch(queries, { prepare: true }, (err) => {
+          if (err) reject(buildError('model.outbox.dberror', err));
+          else resolve();
+        });
+      });
+    };
+
+    const syncAsync = Promise.promisify(this.sync, { context: this });
+    syncAsync()
+      .then(() => (queries.length > 0 ? executeQueries() : null))
+      .then(() => {
+        callback();
+      })
+      .catch((err) => {
+        callback(err);
+      });
+    return undefined;
+  },
+};
+
+module.exports = Outbox;
@@ -0,0 +1,209 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+
+const buildError = require('./apollo_error.js');
+const bucketing = require('./bucketing');
+const promisify = require('../utils/promisify');
+const routing = require('../utils/routing');
+
+const DEFAULT_PAGE_SIZE = 100;
+const CURSOR_CHECKSUM_LENGTH = 8;
+const CURSOR_QUERY_INDEX_LENGTH = 2;
+const FIRST_PAGE_POSITION = { index: 0, pageState: null };
+
+// Symbol.asyncIterator is not available in node versions < 10
+const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+// the checksum binds a cursor to the query it was generated for,
+// so that a cursor can not be replayed against a different query
+const getQueryChecksum = (selectQueries) => {
+  const queries = selectQueries.map((selectQuery) => [selectQuery.query, selectQuery.params]);
+  return crypto.createHash('sha1')
+    .update(JSON.stringify(queries.length === 1 ? queries[0] : queries))
+    .digest()
+    .slice(0, CURSOR_CHECKSUM_LENGTH);
+};
+
+// the position of a page is the index of its select query and the page state within the query,
+// the index is only part of the cursors of queries expanded into a query per bucket
+const encodeCursor = (selectQueries, position) => {
+  const buffers = [getQueryChecksum(selectQueries)];
+  if (selectQueries.length > 1) {
+    const indexBuffer = Buffer.alloc(CURSOR_QUERY_INDEX_LENGTH);
+    indexBuffer.writeUInt16BE(position.index, 0);
+    buffers.push(indexBuffer);
+  }
+  if (position.pageState) buffers.push(Buffer.from(position.pageState, 'hex'));
+  const cursorBuffer = Buffer.concat(buffers);
+  return cursorBuffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeCursor = (selectQueries, cursor) => {
+  if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+    throw (buildError('model.find.invalidcursor', 'cursor must be a string returned as nextCursor from paginate'));
+  }
+
+  const cursorBuffer = Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  const checksum = cursorBuffer.slice(0, CURSOR_CHECKSUM_LENGTH);
+  const indexLength = selectQueries.length > 1 ? CURSOR_QUERY_INDEX_LENGTH : 0;
+  const minLength = CURSOR_CHECKSUM_LENGTH + (indexLength || 1);
+  if (cursorBuffer.length < minLength || !checksum.equals(getQueryChecksum(selectQueries))) {
+    throw (buildError('model.find.invalidcursor', 'cursor does not belong to the given query'));
+  }
+
+  const index = indexLength ? cursorBuffer.readUInt16BE(CURSOR_CHECKSUM_LENGTH) : 0;
+  if (index >= selectQueries.length) {
+    throw (buildError('model.find.invalidcursor', 'cursor does not belong to the given query'));
+  }
+  const pageState = cursorBuffer.slice(CURSOR_CHECKSUM_LENGTH + indexLength);
+  return { index, pageState: pageState.length > 0 ? pageState.toString('hex') : null };
+};
+
+// builds the select query for page wise fetching, throws on invalid options
+const buildPagedQuery = (model, queryObject, options) => {
+  const defaults = {
+    pageSize: DEFAULT_PAGE_SIZE,
+    raw: false,
+    prepare: true,
+  };
+
+  options = _.defaults({}, options, defaults);
+
+  if (!_.isInteger(options.pageSize) || options.pageSize < 1) {
+    throw (buildError('model.find.invalidpagesize', options.pageSize));
+  }
+
+  const findOptions = _.omit(options, ['pageSize', 'cursor', 'fetchSize', 'pageState', 'autoPage']);
+  // a range of the bucketing source field is paged through bucket by bucket
+  const selectQueries = bucketing.get_select_queries(model, queryObject, findOptions);
+
+  return {
+    selectQueries,
+    findOptions,
+    pageSize: options.pageSize,
+  };
+};
+
+// calls back with the rows of the page at the position and the position of the next page, or null
+// for the last page. A page does not span buckets, the next bucket is read if a bucket has no rows left
+const fetchPage = (model, pagedQuery, position, callback) => {
+  const { selectQueries } = pagedQuery;
+  const selectQuery = selectQueries[position.index];
+  const queryOptions = routing.get_find_query_options(
+    model._properties.schema,
+    selectQuery.query,
+    selectQuery.queryObject,
+    pagedQuery.findOptions,
+  );
+  queryOptions.fetchSize = pagedQuery.pageSize;
+  if (position.pageState) queryOptions.pageState = position.pageState;
+
+  model._execute_table_query(selectQuery.query, selectQuery.params, queryOptions, (err, result) => {
+    if (err) {
+      callback(buildError('model.find.dberror', err));
+      return;
+    }
+    const items = model._map_result_rows(result.rows, pagedQuery.findOptions);
+    let nextPosition = null;
+    if (result.pageState) {
+      nextPosition = { index: position.index, pageState: result.pageState };
+    } else if (position.index + 1 < selectQueries.length) {
+      nextPosition = { index: position.index + 1, pageState: null };
+    }
+    if (items.length === 0 && nextPosition && nextPosition.index !== position.index) {
+      fetchPage(model, pagedQuery, nextPosition, callback);
+      return;
+    }
+    callback(null, { items, nextPosition });
+  });
+};
+
+
+const pagination = {};
+
+pagination.paginate = function f(queryObject, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.paginate(queryObject, options, cb), f);
+  }
+
+  let pagedQuery;
+  let position = FIRST_PAGE_POSITION;
+  try {
+    pagedQuery = buildPagedQuery(this, queryObject, options);
+    if (options && options.cursor) position = decodeCursor(pagedQuery.selectQueries, options.cursor);
+  } catch (e) {
+    callback(e);
+    return undefined;
+  }
+
+  fetchPage(this, pagedQuery, position, (err, page) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const nextCursor = page.nextPosition ? encodeCursor(pagedQuery.selectQueries, page.nextPosition) : null;
+    callback(null, {
+      items: page.items,
+      nextCursor,
+      hasMore: nextCursor !== null,
+    });
+  });
+  return undefined;
+};
+
+pagination.iterate = function f(queryObject, options) {
+  const pagedQuery = buildPagedQuery(this, queryObject, options);
+
+  let buffer = [];
+  let position = FIRST_PAGE_POSITION;
+  let finished = false;
+  let pending = Promise.resolve();
+
+  // the next page is only requested once the consumer has read all the rows
+  // of the current page, so at most one page of rows is held in memory
+  const pull = () => {
+    if (buffer.length > 0) {
+      return Promise.resolve({ value: buffer.shift(), done: false });
+    }
+    if (finished || !position) {
+      finished = true;
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      fetchPage(this, pagedQuery, position, (err, page) => {
+        if (err) {
+          finished = true;
+          reject(err);
+          return;
+        }
+        buffer = page.items;
+        position = page.nextPosition;
+        resolve();
+      });
+    }).then(pull);
+  };
+
+  const iterator = {
+    next() {
+      const result = pending.then(pull);
+      pending = result.catch(() => {});
+      return result;
+    },
+    return(value) {
+      finished = true;
+      buffer = [];
+      return Promise.resolve({ value, done: true });
+    },
+  };
+  iterator[ASYNC_ITERATOR] = () => iterator;
+
+  return iterator;
+};
+
+module.exports = pagination;
@@ -0,0 +1,269 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+const normalizer = require('../utils/normalizer');
+const parser = require('../utils/parser');
+const promisify = require('../utils/promisify');
+const tenancy = require('../utils/tenancy');
+const cache = require('./cache');
+
+const WRITE_BATCH_SIZE = 50;
+
+const getDeletedAtKey = (schema) => (
+  schema.options && schema.options.paranoid ? schema.options.paranoid.deletedAt : null
+);
+
+const getPrimaryKeyFields = (schema) => (
+  Object.keys(schema.fields).filter((fieldName) => schemer.is_primary_key_field(schema, fieldName))
+);
+
+// rows can only be filtered if the deletion timestamp is part of the result, that's not
+// possible for distinct queries, aggregates or materialized views and query tables without the column
+const canFilterRows = (schema, options) => {
+  const deletedAtKey = getDeletedAtKey(schema);
+  if (!deletedAtKey || options.withDeleted || options.distinct) return false;
+  if (options.select) {
+    if (!options.select.every((column) => _.has(schema.fields, column))) return false;
+    if ((options.materialized_view || options.query_table) && !options.select.includes(deletedAtKey)) return false;
+  }
+  return true;
+};
+
+// a query that specifies the whole primary key can be soft deleted without reading the rows first
+const isPrimaryKeyQuery = (schema, queryObject) => {
+  const keyFields = getPrimaryKeyFields(schema);
+  return Object.keys(queryObject).every((fieldName) => keyFields.includes(fieldName))
+    && keyFields.every((fieldName) => (
+      queryObject[fieldName] !== undefined
+      && queryObject[fieldName] !== null
+      && !_.isPlainObject(queryObject[fieldName])
+    ));
+};
+
+const getKeyQuery = (schema, row) => _.pick(row, getPrimaryKeyFields(schema));
+
+// the conditions of the delete options apply to the update of the deletion timestamp
+const getIfClause = (schema, options, ifExists) => {
+  if (options.conditions) return parser.get_if_clause(schema, options.conditions);
+  if (options.if_exists || ifExists) return { query: 'IF EXISTS', params: [] };
+  return { query: '', params: [] };
+};
+
+const getMarkDeletedStatement = (model, queryObject, ifClause) => {
+  const schema = model._properties.schema;
+  const whereClause = parser.get_where_clause(schema, queryObject);
+  return {
+    query: util.format(
+      'UPDATE %s SET "%s"=toTimestamp(now()) %s%s;',
+      tenancy.get_table_identifier(model._properties, model._properties.table_name),
+      getDeletedAtKey(schema),
+      whereClause.query,
+      ifClause.query ? util.format(' %s', ifClause.query) : '',
+    ),
+    params: whereClause.params.concat(ifClause.params),
+  };
+};
+
+// rewrites the whole row, so that a ttl applies to all of its columns
+// and a ttl set by a previous soft delete is removed on restore
+const getRewriteStatement = (model, row, ttl) => {
+  const deletedAtKey = getDeletedAtKey(model._properties.schema);
+  const columns = Object.keys(row).filter((column) => column === deletedAtKey || !_.isNil(row[column]));
+  let query = util.format(
+    'INSERT INTO %s ( %s ) VALUES ( %s )',
+    tenancy.get_table_identifier(model._properties, model._properties.table_name),
+    columns.map((column) => util.format('"%s"', column)).join(' , '),
+    columns.map(() => '?').join(' , '),
+  );
+  const params = columns.map((column) => row[column]);
+  if (_.isNumber(ttl)) {
+    query += ' USING TTL ?';
+    params.push(ttl);
+  }
+  return { query: `${query};`, params };
+};
+
+const executeStatements = (model, statements, queryOptions, callback) => {
+  const batches = _.chunk(statements, WRITE_BATCH_SIZE);
+  const executeBatch = (queries) => new Promise((resolve, reject) => {
+    const done = (err) => {
+      if (err) reject(err);
+      else resolve();
+    };
+    if (queries.length === 1) {
+      model._execute_table_query(queries[0].query, queries[0].params, queryOptions, done);
+      return;
+    }
+    model.execute_batch(queries, _.assign({}, queryOptions, { logged: false }), done);
+  });
+
+  batches.reduce((previous, queries) => previous.then(() => executeBatch(queries)), Promise.resolve())
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+// reads the matching rows and writes a statement for each of them
+const rewriteRows = (model, queryObject, options, getStatement, callback) => {
+  const findOptions = _.assign(_.pick(options, ['consistency']), { raw: true, withDeleted: true });
+  model.find(_.clone(queryObject), findOptions, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const statements = _.compact(rows.map(getStatement));
+    executeStatements(model, statements, normalizer.normalize_query_option(options), callback);
+  });
+};
+
+const paranoid = {};
+
+paranoid.is_enabled = (schema) => getDeletedAtKey(schema) !== null;
+
+// the deletion timestamp is added to the selected columns, so that the soft deleted rows can be filtered
+paranoid.get_find_options = (schema, options) => {
+  const deletedAtKey = getDeletedAtKey(schema);
+  if (!canFilterRows(schema, options) || !options.select || options.select.includes(deletedAtKey)) {
+    return options;
+  }
+  return _.assign({}, options, { select: options.select.concat(deletedAtKey) });
+};
+
+// returns null for a soft deleted row, the deletion timestamp is removed
+// from the row again if it was only selected for filtering
+paranoid.filter_row = (schema, row, options) => {
+  if (!canFilterRows(schema, options)) return row;
+  const deletedAtKey = getDeletedAtKey(schema);
+  if (!_.isNil(row[deletedAtKey])) return null;
+  if (options.select && !options.select.includes(deletedAtKey)) delete row[deletedAtKey];
+  return row;
+};
+
+paranoid.filter_rows = (schema, rows, options) => (
+  rows.filter((row) => paranoid.filter_row(schema, row, options) !== null)
+);
+
+paranoid.soft_delete = (model, queryObject, options, callback) => {
+  const schema = model._properties.schema;
+  const ttl = _.isNumber(options.ttl) ? options.ttl : schema.options.paranoid.ttl;
+
+  const afterHook = () => {
+    if (typeof schema.after_delete === 'function' && schema.after_delete(queryObject, options) === false) {
+      return buildError('model.delete.after.error');
+    }
+    return true;
+  };
+
+  const onDeleted = (err, result) => {
+    if (err) {
+      callback(buildError('model.delete.dberror', err));
+      return;
+    }
+    cache.invalidate(model, queryObject, () => {
+      const afterHookResponse = afterHook();
+      if (afterHookResponse !== true) {
+        callback(afterHookResponse);
+        return;
+      }
+      callback(null, result);
+    });
+  };
+
+  if (isPrimaryKeyQuery(schema, queryObject) && !_.isNumber(ttl)) {
+    // an update is an upsert, so unless it's part of a batch, where a condition would restrict the batch
+    // to a single partition, the update is conditional to not create a soft deleted row for a missing key
+    let statement;
+    try {
+      statement = getMarkDeletedStatement(model, queryObject, getIfClause(schema, options, !options.return_query));
+    } catch (e) {
+      parser.callback_or_throw(e, callback);
+      return {};
+    }
+    if (options.return_query) {
+      return _.assign(statement, {
+        invalidate_cache: (cb) => cache.invalidate(model, queryObject, cb),
+        after_hook: afterHook,
+      });
+    }
+    const queryOptions = normalizer.normalize_query_option(options);
+    model._execute_table_query(statement.query, statement.params, queryOptions, onDeleted);
+    return {};
+  }
+
+  if (options.return_query) {
+    parser.callback_or_throw(buildError(
+      'model.delete.paranoiderror',
+      'return_query is only supported if the whole primary key is given and no ttl is used',
+    ), callback);
+    return {};
+  }
+
+  if (options.conditions || options.if_exists) {
+    parser.callback_or_throw(buildError(
+      'model.delete.paranoiderror',
+      'conditions and if_exists are only supported if the whole primary key is given and no ttl is used',
+    ), callback);
+    return {};
+  }
+
+  const deletedAtKey = getDeletedAtKey(schema);
+  const deletedAt = new Date();
+  rewriteRows(model, queryObject, options, (row) => {
+    if (!_.isNil(row[deletedAtKey])) return null;
+    if (_.isNumber(ttl)) {
+      return getRewriteStatement(model, _.assign({}, row, { [deletedAtKey]: deletedAt }), ttl);
+    }
+    return getMarkDeletedStatement(model, getKeyQuery(schema, row), getIfClause(schema, {}, false));
+  }, onDeleted);
+  return {};
+};
+
+paranoid.restore = function f(queryObject, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.restore(queryObject, options, cb), f);
+  }
+
+  const defaults = {
+    prepare: true,
+  };
+
+  options = _.defaults({}, options, defaults);
+
+  const schema = this._properties.schema;
+  if (!paranoid.is_enabled(schema)) {
+    callback(buildError('model.delete.paranoiderror', 'restore is only supported for models with the paranoid option'));
+    return undefined;
+  }
+
+  const deletedAtKey = getDeletedAtKey(schema);
+  rewriteRows(this, queryObject, options, (row) => {
+    if (_.isNil(row[deletedAtKey])) return null;
+    return getRewriteStatement(this, _.assign({}, row, { [deletedAtKey]: null }));
+  }, (err) => {
+    if (err) {
+      callback(buildError('model.delete.dberror', err));
+      return;
+    }
+    cache.invalidate(this, queryObject, () => callback());
+  });
+  return undefined;
+};
+
+paranoid.forceDelete = function f(queryObject, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  return this.delete(queryObject, _.assign({}, options, { force: true }), callback);
+};
+
+module.exports = paranoid;
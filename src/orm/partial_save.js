@@ -0,0 +1,296 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+const normalizer = require('../utils/normalizer');
+const parser = require('../utils/parser');
+const queryTables = require('./query_tables');
+const uniqueConstraints = require('./unique_constraints');
+const cache = require('./cache');
+const routing = require('../utils/routing');
+const tenancy = require('../utils/tenancy');
+
+const COLLECTION_TYPES = ['map', 'list', 'set'];
+
+const getLockingVersionKey = (schema) => (
+  schema.options && schema.options.versions && schema.options.versions.optimistic_locking
+    ? schema.options.versions.key
+    : null
+);
+
+const isTrackedField = (schema, fieldName) => {
+  if (schema.fields[fieldName].virtual) return false;
+  return schemer.is_primary_key_field(schema, fieldName)
+    || fieldName === getLockingVersionKey(schema)
+    || queryTables.is_key_field(schema, fieldName)
+    || uniqueConstraints.is_unique_field(schema, fieldName)
+    || COLLECTION_TYPES.includes(schemer.get_field_type(schema, fieldName));
+};
+
+const getKeyQuery = (schema, instance) => {
+  const keyQuery = {};
+  Object.keys(schema.fields).forEach((fieldName) => {
+    if (schemer.is_primary_key_field(schema, fieldName)) keyQuery[fieldName] = instance[fieldName];
+  });
+  return keyQuery;
+};
+
+// cassandra does not distinguish between an empty and a null collection
+const isEmptyCollection = (value) => _.isNil(value) || (_.isObjectLike(value) && _.isEmpty(value));
+
+const getListDelta = (loadedList, currentList) => {
+  if (currentList.length > loadedList.length) {
+    const addedLength = currentList.length - loadedList.length;
+    if (_.isEqual(currentList.slice(0, loadedList.length), loadedList)) {
+      return { $append: currentList.slice(loadedList.length) };
+    }
+    if (_.isEqual(currentList.slice(addedLength), loadedList)) {
+      return { $prepend: currentList.slice(0, addedLength) };
+    }
+  }
+
+  // $remove removes all the occurences of a value from a list
+  const removedValues = _.uniqWith(_.differenceWith(loadedList, currentList, _.isEqual), _.isEqual);
+  const remainingList = loadedList.filter((value) => !_.some(removedValues, (removed) => _.isEqual(removed, value)));
+  if (removedValues.length > 0 && _.isEqual(remainingList, currentList)) {
+    return { $remove: removedValues };
+  }
+  return currentList;
+};
+
+const getSetDelta = (loadedSet, currentSet) => {
+  const addedValues = _.differenceWith(currentSet, loadedSet, _.isEqual);
+  const removedValues = _.differenceWith(loadedSet, currentSet, _.isEqual);
+  if (removedValues.length === 0) return { $add: addedValues };
+  if (addedValues.length === 0) return { $remove: removedValues };
+  return currentSet;
+};
+
+const getMapDelta = (loadedMap, currentMap) => {
+  const changedKeys = Object.keys(currentMap).filter((key) => !_.isEqual(loadedMap[key], currentMap[key]));
+  const removedKeys = _.difference(Object.keys(loadedMap), Object.keys(currentMap));
+  if (removedKeys.length === 0) return { $add: _.pick(currentMap, changedKeys) };
+  if (changedKeys.length === 0) return { $remove: _.pick(loadedMap, removedKeys) };
+  return currentMap;
+};
+
+// returns the in place update expression for a changed collection, or the whole
+// collection if the change can not be expressed as a single add or remove operation
+const getCollectionDelta = (fieldType, loadedValue, currentValue) => {
+  if (isEmptyCollection(currentValue)) return null;
+  if (isEmptyCollection(loadedValue)) return currentValue;
+
+  if (fieldType === 'list' && _.isArray(loadedValue) && _.isArray(currentValue)) {
+    return getListDelta(loadedValue, currentValue);
+  }
+  if (fieldType === 'set' && _.isArray(loadedValue) && _.isArray(currentValue)) {
+    return getSetDelta(loadedValue, currentValue);
+  }
+  if (fieldType === 'map' && _.isPlainObject(loadedValue) && _.isPlainObject(currentValue)) {
+    return getMapDelta(loadedValue, currentValue);
+  }
+  return currentValue;
+};
+
+const getPatchValues = (schema, instance) => {
+  const loadedValues = instance._loaded_values;
+  const updateValues = {};
+
+  Object.keys(schema.fields).forEach((fieldName) => {
+    if (schema.fields[fieldName].virtual || schemer.is_primary_key_field(schema, fieldName)) return;
+    if (fieldName === getLockingVersionKey(schema)) return;
+
+    const fieldType = schemer.get_field_type(schema, fieldName);
+    if (COLLECTION_TYPES.includes(fieldType)) {
+      // in place modifications like push do not go through the setter, so the
+      // collections are compared with the values loaded from the database
+      const loadedValue = loadedValues[fieldName];
+      const currentValue = instance[fieldName];
+      const bothEmpty = isEmptyCollection(loadedValue) && isEmptyCollection(currentValue);
+      if (!bothEmpty && !_.isEqual(loadedValue, currentValue)) {
+        updateValues[fieldName] = getCollectionDelta(fieldType, loadedValue, currentValue);
+      }
+      return;
+    }
+
+    if (_.has(instance._modified, fieldName)) updateValues[fieldName] = instance[fieldName];
+  });
+
+  return updateValues;
+};
+
+const partialSave = {};
+
+// keeps a copy of the key and collection values as they were read from or written to the db
+partialSave.track_loaded_values = (instance) => {
+  const schema = instance.constructor._properties.schema;
+  const loadedValues = {};
+  Object.keys(schema.fields).forEach((fieldName) => {
+    if (isTrackedField(schema, fieldName)) loadedValues[fieldName] = _.cloneDeep(instance[fieldName]);
+  });
+  Object.defineProperty(instance, '_loaded_values', { value: loadedValues, writable: true, configurable: true });
+};
+
+// only instances loaded from the db can be saved partially, if the primary key
+// has changed since loading, the instance represents a different row. With optimistic
+// locking the loaded instances are always saved partially, as INSERT does not support conditions
+partialSave.can_save_modified = (instance, options) => {
+  if (!instance._loaded_values || options.if_not_exist) return false;
+  const schema = instance.constructor._properties.schema;
+  if (!options.only_modified && !getLockingVersionKey(schema)) return false;
+  return Object.keys(schema.fields).every((fieldName) => (
+    !schemer.is_primary_key_field(schema, fieldName)
+    || _.isEqual(instance[fieldName], instance._loaded_values[fieldName])
+  ));
+};
+
+partialSave.save_modified = (instance, options, callback) => {
+  const properties = instance.constructor._properties;
+  const schema = properties.schema;
+
+  const afterHook = () => {
+    if (typeof schema.after_save === 'function' && schema.after_save(instance, options) === false) {
+      return buildError('model.save.after.error');
+    }
+    return true;
+  };
+
+  const patchValues = getPatchValues(schema, instance);
+  if (_.isEmpty(patchValues)) {
+    // nothing to write, the row in the db is already up to date, so the returned
+    // query object has no query and doBatch and insertMany only call its after_hook
+    if (options.return_query) return { after_hook: afterHook };
+    const afterHookResponse = afterHook();
+    if (afterHookResponse !== true) callback(afterHookResponse);
+    else callback(null, {});
+    return {};
+  }
+
+  const versionKey = getLockingVersionKey(schema);
+  const version = versionKey ? parser.generate_version() : null;
+  if (versionKey) patchValues[versionKey] = version;
+
+  const { updateClauses, queryParams, errorHappened } = parser.get_update_value_expression(
+    instance,
+    schema,
+    patchValues,
+    callback,
+  );
+
+  if (errorHappened) return {};
+
+  let query = 'UPDATE %s';
+  let finalParams = queryParams;
+  if (_.isNumber(options.ttl)) {
+    query += ' USING TTL ?';
+    finalParams = [options.ttl].concat(finalParams);
+  }
+  query += ' SET %s %s';
+
+  const keyQuery = getKeyQuery(schema, instance);
+  const whereClause = parser.get_where_clause(schema, keyQuery);
+  const tableIdentifier = tenancy.get_table_identifier(properties, properties.table_name);
+  query = util.format(query, tableIdentifier, updateClauses.join(', '), whereClause.query);
+  finalParams = finalParams.concat(whereClause.params);
+
+  if (versionKey) {
+    query += util.format(' IF "%s"=?', versionKey);
+    finalParams.push(instance._loaded_values[versionKey]);
+  }
+  query += ';';
+
+  let queryTableQueries;
+  try {
+    queryTableQueries = queryTables.get_save_queries(instance, options);
+    uniqueConstraints.validate_options(schema, 'save', options);
+    properties.outbox.validate_options(schema, 'save', options);
+  } catch (e) {
+    parser.callback_or_throw(e, callback);
+    return {};
+  }
+
+  const outboxQueries = properties.outbox.get_save_queries(instance, Object.keys(patchValues));
+  if (options.return_query) {
+    const returnObj = {
+      query,
+      params: finalParams,
+      routing_key: routing.get_routing_key(schema, instance),
+      outbox_queries: outboxQueries,
+      invalidate_cache: (cb) => cache.invalidate_row(instance.constructor, instance, cb),
+      // doBatch and insertMany pass the result of the batch, which is not applied if the row was modified
+      after_hook: (result) => {
+        if (versionKey) {
+          if (!(result && result.rows && result.rows[0] && result.rows[0]['[applied]'])) {
+            return buildError('model.save.versionconflict', instance._loaded_values[versionKey]);
+          }
+          instance[versionKey] = version;
+          instance._modified = {};
+          partialSave.track_loaded_values(instance);
+        }
+        return afterHook();
+      },
+    };
+    if (queryTableQueries.length > 0) returnObj.query_table_queries = queryTableQueries;
+    return returnObj;
+  }
+
+  const queryOptions = routing.apply(
+    schema,
+    { query, keyValues: instance },
+    normalizer.normalize_query_option(options),
+  );
+
+  const statement = { query, params: finalParams };
+  const executeSave = (done) => {
+    const queries = queryTableQueries.concat(outboxQueries);
+    queryTables.execute(instance.constructor, statement, queries, queryOptions, (err, result) => {
+      if (err) {
+        done(buildError('model.save.dberror', err));
+        return;
+      }
+      cache.invalidate_row(instance.constructor, instance, () => done(null, result));
+    });
+  };
+
+  uniqueConstraints.execute(instance.constructor, { operation: 'save', instance, options }, executeSave, (err, result) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (versionKey && !(result.rows && result.rows[0] && result.rows[0]['[applied]'])) {
+      const conflictError = buildError('model.save.versionconflict', instance._loaded_values[versionKey]);
+      // a soft deleted row is the current row as well
+      instance.constructor.findOne(keyQuery, { withDeleted: true }, (err1, currentRow) => {
+        if (err1) {
+          callback(err1);
+          return;
+        }
+        conflictError.currentRow = currentRow || null;
+        callback(conflictError);
+      });
+      return;
+    }
+    if (versionKey) instance[versionKey] = version;
+    instance._modified = {};
+    partialSave.track_loaded_values(instance);
+    const afterHookResponse = afterHook();
+    if (afterHookResponse !== true) {
+      callback(afterHookResponse);
+      return;
+    }
+    callback(null, result);
+  });
+
+  return {};
+};
+
+partialSave.patch = function f(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  return this.save(_.assign({}, options, { only_modified: true }), callback);
+};
+
+module.exports = partialSave;
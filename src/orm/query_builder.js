@@ -0,0 +1,202 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('./apollo_error.js');
+
+// the methods of the builder mapped to the operators of the query object
+const OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  like: '$like',
+  contains: '$contains',
+  containsKey: '$contains_key',
+};
+
+const ORDER_DIRECTIONS = { asc: '$asc', desc: '$desc' };
+
+// a single equality is compiled to a plain value, so that the query can be served by the cache,
+// object values are kept as $eq relations as they would be taken for operators otherwise
+const getFieldRelation = (relations) => {
+  if (_.size(relations) === 1 && _.has(relations, '$eq') && !_.isPlainObject(relations.$eq)) return relations.$eq;
+  return _.clone(relations);
+};
+
+// the fields of a direction are listed together in $orderby, so the order of the
+// fields can only be kept if the fields with the same direction follow each other
+const getOrderby = (orderings) => {
+  const orderby = {};
+  let previousDirection = null;
+  orderings.forEach((ordering) => {
+    if (ordering.direction !== previousDirection && _.has(orderby, ordering.direction)) {
+      throw (buildError(
+        'model.find.querybuildererror',
+        'the fields ordered in the same direction must follow each other in orderBy',
+      ));
+    }
+    orderby[ordering.direction] = (orderby[ordering.direction] || []).concat(ordering.fieldName);
+    previousDirection = ordering.direction;
+  });
+  return orderby;
+};
+
+// builds the query object and the options of a find query step by step, each method
+// modifies the builder and returns it, so that the calls can be chained
+const QueryBuilder = function f(model) {
+  this._model = model;
+  this._relations = {};
+  this._orderings = [];
+  this._limits = {};
+  this._options = {};
+  this._fieldName = null;
+};
+
+QueryBuilder.prototype = {
+  _add_relation(operator, value) {
+    if (!this._fieldName) {
+      throw (buildError('model.find.querybuildererror', util.format('%s must follow a where call', operator)));
+    }
+    this._relations[this._fieldName][operator] = value;
+    return this;
+  },
+
+  // where(fieldName) is followed by an operator, where(fieldName, value) adds an equality and
+  // where(queryObject) adds the relations of a query object, e.g. to use the $token operator
+  where(fieldName, ...values) {
+    if (_.isPlainObject(fieldName)) {
+      _.forEach(fieldName, (fieldValue, name) => {
+        this._relations[name] = _.isPlainObject(fieldValue) ? _.clone(fieldValue) : { $eq: fieldValue };
+      });
+      this._fieldName = null;
+      return this;
+    }
+    if (typeof fieldName !== 'string' || fieldName.startsWith('$')) {
+      throw (buildError('model.find.querybuildererror', util.format('invalid field name given to where: %s', fieldName)));
+    }
+    this._relations[fieldName] = this._relations[fieldName] || {};
+    this._fieldName = fieldName;
+    if (values.length > 0) return this.eq(values[0]);
+    return this;
+  },
+
+  orderBy(fieldName, direction) {
+    const orderDirection = ORDER_DIRECTIONS[(direction || 'asc').toLowerCase()];
+    if (!orderDirection) {
+      throw (buildError('model.find.querybuildererror', util.format('invalid order direction: %s', direction)));
+    }
+    this._orderings.push({ fieldName, direction: orderDirection });
+    return this;
+  },
+
+  limit(limit) {
+    this._limits = { $limit: limit };
+    return this;
+  },
+
+  perPartitionLimit(limit) {
+    this._limits = { $per_partition_limit: limit };
+    return this;
+  },
+
+  groupBy(...fieldNames) {
+    this._options.$groupby = _.flatten(fieldNames);
+    return this;
+  },
+
+  select(...fieldNames) {
+    this._options.select = _.flatten(fieldNames);
+    return this;
+  },
+
+  distinct() {
+    this._options.distinct = true;
+    return this;
+  },
+
+  allowFiltering() {
+    this._options.allow_filtering = true;
+    return this;
+  },
+
+  raw() {
+    this._options.raw = true;
+    return this;
+  },
+
+  materializedView(viewName) {
+    this._options.materialized_view = viewName;
+    return this;
+  },
+
+  queryTable(queryTableName) {
+    this._options.query_table = queryTableName;
+    return this;
+  },
+
+  // any other find options, like consistency or populate
+  options(findOptions) {
+    _.assign(this._options, findOptions);
+    return this;
+  },
+
+  clone() {
+    const builder = new QueryBuilder(this._model);
+    builder._relations = _.mapValues(this._relations, _.clone);
+    builder._orderings = _.clone(this._orderings);
+    builder._limits = _.clone(this._limits);
+    builder._options = _.clone(this._options);
+    builder._fieldName = this._fieldName;
+    return builder;
+  },
+
+  // returns a new query object and options on each call, as find may modify them
+  compile() {
+    const queryObject = _.mapValues(this._relations, getFieldRelation);
+    if (this._orderings.length > 0) queryObject.$orderby = getOrderby(this._orderings);
+    _.assign(queryObject, this._limits);
+    return { queryObject, options: _.clone(this._options) };
+  },
+
+  exec(callback) {
+    const { queryObject, options } = this.compile();
+    return this._model.find(queryObject, options, callback);
+  },
+
+  first(callback) {
+    const { queryObject, options } = this.compile();
+    return this._model.findOne(queryObject, options, callback);
+  },
+
+  toCQL() {
+    const { queryObject, options } = this.compile();
+    options.return_query = true;
+    return this._model.find(queryObject, options);
+  },
+
+  explain() {
+    const { queryObject, options } = this.compile();
+    return this._model.explain(queryObject, options);
+  },
+
+  stream(onReadable, callback) {
+    const { queryObject, options } = this.compile();
+    return this._model.stream(queryObject, options, onReadable, callback);
+  },
+
+  iterate(iterateOptions) {
+    const { queryObject, options } = this.compile();
+    return this._model.iterate(queryObject, _.assign(options, iterateOptions));
+  },
+};
+
+_.forEach(OPERATORS, (operator, methodName) => {
+  QueryBuilder.prototype[methodName] = function f(value) {
+    return this._add_relation(operator, value);
+  };
+});
+
+module.exports = QueryBuilder;
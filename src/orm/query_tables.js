@@ -0,0 +1,378 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+const parser = require('../utils/parser');
+const tenancy = require('../utils/tenancy');
+
+const UPDATE_OPERATORS = ['$add', '$append', '$prepend', '$replace', '$remove'];
+
+const getQueryTableNames = (schema) => Object.keys(schema.query_tables || {});
+
+const getKeyFields = (queryTable) => _.flatten(queryTable.key);
+
+// the key fields are always part of a query table, all the db fields are copied if select is not given
+const getColumns = (schema, queryTable) => {
+  const select = queryTable.select
+    || Object.keys(schema.fields).filter((fieldName) => !schema.fields[fieldName].virtual);
+  return _.union(getKeyFields(queryTable), select);
+};
+
+const hasCompleteKey = (keyFields, row) => keyFields.every((fieldName) => !_.isNil(row[fieldName]));
+
+const isOperatorValue = (value) => (
+  _.isPlainObject(value) && UPDATE_OPERATORS.some((operator) => _.has(value, operator))
+);
+
+const getPrimaryKeyFields = (schema) => (
+  Object.keys(schema.fields).filter((fieldName) => schemer.is_primary_key_field(schema, fieldName))
+);
+
+const getInsertQuery = (table, row, ttl) => {
+  const identifiers = [];
+  const values = [];
+  const params = [];
+  Object.keys(row).forEach((fieldName) => {
+    identifiers.push(util.format('"%s"', fieldName));
+    const dbVal = parser.get_db_value_expression(table.schema, fieldName, row[fieldName]);
+    if (_.isPlainObject(dbVal) && dbVal.query_segment) {
+      values.push(dbVal.query_segment);
+      params.push(dbVal.parameter);
+    } else {
+      values.push(dbVal);
+    }
+  });
+
+  let query = util.format(
+    'INSERT INTO %s ( %s ) VALUES ( %s )',
+    table.identifier,
+    identifiers.join(' , '),
+    values.join(' , '),
+  );
+  if (_.isNumber(ttl)) {
+    query += ' USING TTL ?';
+    params.push(ttl);
+  }
+  return { query: `${query};`, params };
+};
+
+const getUpdateQuery = (table, keyValues, updateValues, ttl) => {
+  const updateClauses = [];
+  let params = [];
+  Object.keys(updateValues).forEach((fieldName) => {
+    parser.get_inplace_update_expression(table.schema, fieldName, updateValues[fieldName], updateClauses, params);
+  });
+
+  let query = 'UPDATE %s';
+  if (_.isNumber(ttl)) {
+    query += ' USING TTL ?';
+    params = [ttl].concat(params);
+  }
+  const whereClause = parser.get_where_clause(table.schema, keyValues);
+  query = util.format(`${query} SET %s %s;`, table.identifier, updateClauses.join(', '), whereClause.query);
+  return { query, params: params.concat(whereClause.params) };
+};
+
+const getDeleteQuery = (table, keyValues, columns) => {
+  const whereClause = parser.get_where_clause(table.schema, keyValues);
+  if (!columns) {
+    return { query: util.format('DELETE FROM %s %s;', table.identifier, whereClause.query), params: whereClause.params };
+  }
+  const columnsClause = parser.get_delete_columns_clause(table.schema, columns);
+  return {
+    query: util.format('DELETE %s FROM %s %s;', columnsClause.query, table.identifier, whereClause.query),
+    params: columnsClause.params.concat(whereClause.params),
+  };
+};
+
+const getTableName = (properties, queryTableName) => (
+  properties.schema.query_tables[queryTableName].table_name || `${properties.table_name}_${queryTableName}`
+);
+
+// the schema of a query table is derived from the model schema, it's used to create and migrate the table
+const getTableSchema = (schema, queryTableName) => {
+  const queryTable = schema.query_tables[queryTableName];
+  const fields = {};
+  getColumns(schema, queryTable).forEach((fieldName) => {
+    const field = schema.fields[fieldName];
+    fields[fieldName] = _.isPlainObject(field) ? _.omit(field, ['static']) : field;
+  });
+  const tableSchema = { fields, key: _.cloneDeep(queryTable.key) };
+  if (queryTable.clustering_order) tableSchema.clustering_order = _.cloneDeep(queryTable.clustering_order);
+  return tableSchema;
+};
+
+const getTables = (model) => {
+  const properties = model._properties;
+  return getQueryTableNames(properties.schema).map((queryTableName) => {
+    const queryTable = properties.schema.query_tables[queryTableName];
+    return {
+      identifier: tenancy.get_table_identifier(properties, getTableName(properties, queryTableName)),
+      schema: getTableSchema(properties.schema, queryTableName),
+      keyFields: getKeyFields(queryTable),
+      columns: getColumns(properties.schema, queryTable),
+    };
+  });
+};
+
+// reads the query table columns of the rows that are going to be modified,
+// so that the copies of the rows can be found by their query table keys
+const findRows = (model, queryObject, options, callback) => {
+  const tableColumns = getTables(model).map((table) => table.columns);
+  const select = _.union(getPrimaryKeyFields(model._properties.schema), ...tableColumns);
+  const findOptions = _.assign(_.pick(options, ['consistency']), { raw: true, select, withDeleted: true });
+  model.find(_.clone(queryObject), findOptions, callback);
+};
+
+// the statement of the model table and the statements of its query tables are written in one logged batch
+const executeQueries = (model, statement, queries, queryOptions, callback) => {
+  if (queries.length === 0) {
+    model._execute_table_query(statement.query, statement.params, queryOptions, callback);
+    return;
+  }
+
+  const executeBatch = () => {
+    model.execute_batch([statement].concat(queries), queryOptions, callback);
+  };
+  if (model.is_table_ready()) {
+    executeBatch();
+    return;
+  }
+  model.init((err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    executeBatch();
+  });
+};
+
+const getRowUpdateQueries = (table, oldRow, newRow, updateValues, ttl) => {
+  const queries = [];
+  const oldKey = oldRow ? _.pick(oldRow, table.keyFields) : null;
+  const newKey = _.pick(newRow, table.keyFields);
+  const keyChanged = !oldKey || !_.isEqual(oldKey, newKey);
+
+  if (oldKey && keyChanged && hasCompleteKey(table.keyFields, oldKey)) queries.push(getDeleteQuery(table, oldKey));
+  if (!hasCompleteKey(table.keyFields, newKey)) return queries;
+
+  // a changed key moves the row in the query table, the in place collection operations
+  // are applied to the copied row afterwards by an update in the same batch
+  if (keyChanged) {
+    queries.push(getInsertQuery(table, _.omitBy(_.pick(newRow, table.columns), _.isUndefined), ttl));
+  }
+  const tableUpdateValues = _.pickBy(
+    _.omit(_.pick(updateValues, table.columns), table.keyFields),
+    (value) => !keyChanged || isOperatorValue(value),
+  );
+  if (!_.isEmpty(tableUpdateValues)) queries.push(getUpdateQuery(table, newKey, tableUpdateValues, ttl));
+  return queries;
+};
+
+const getRowDeleteQueries = (table, row, columns) => {
+  const key = _.pick(row, table.keyFields);
+  if (!hasCompleteKey(table.keyFields, key)) return [];
+  if (!columns) return [getDeleteQuery(table, key)];
+
+  const columnSpecs = _.isArray(columns) ? _.zipObject(columns, columns.map(() => true)) : columns;
+  // without its key columns the row can not be found using the query table anymore
+  if (table.keyFields.some((fieldName) => _.has(columnSpecs, fieldName))) return [getDeleteQuery(table, key)];
+  const tableColumnSpecs = _.pick(columnSpecs, table.columns);
+  if (_.isEmpty(tableColumnSpecs)) return [];
+  return [getDeleteQuery(table, key, tableColumnSpecs)];
+};
+
+const getSaveRow = (instance, table) => {
+  const row = {};
+  table.columns.forEach((fieldName) => {
+    const value = instance[fieldName] !== undefined ? instance[fieldName] : instance._get_default_value(fieldName);
+    if (value !== undefined) row[fieldName] = value;
+  });
+  return row;
+};
+
+// the values an instance was loaded with belong to the saved row, unless its primary key was changed
+const getLoadedRow = (instance) => {
+  if (!instance._loaded_values) return null;
+  const primaryKeyFields = getPrimaryKeyFields(instance.constructor._properties.schema);
+  const keyChanged = primaryKeyFields.some((fieldName) => (
+    !_.isEqual(instance[fieldName], instance._loaded_values[fieldName])
+  ));
+  return keyChanged ? null : instance._loaded_values;
+};
+
+const getStaleCopyQueries = (instance, oldRow) => {
+  const queries = [];
+  getTables(instance.constructor).forEach((table) => {
+    const oldKey = _.pick(oldRow, table.keyFields);
+    const newKey = _.pick(getSaveRow(instance, table), table.keyFields);
+    if (hasCompleteKey(table.keyFields, oldKey) && !_.isEqual(oldKey, newKey)) {
+      queries.push(getDeleteQuery(table, oldKey));
+    }
+  });
+  return queries;
+};
+
+const queryTables = {};
+
+queryTables.get_table_names = (schema) => getQueryTableNames(schema);
+
+queryTables.is_enabled = (schema) => getQueryTableNames(schema).length > 0;
+
+queryTables.is_key_field = (schema, fieldName) => (
+  getQueryTableNames(schema).some((queryTableName) => (
+    getKeyFields(schema.query_tables[queryTableName]).includes(fieldName)
+  ))
+);
+
+queryTables.get_table_name = getTableName;
+
+queryTables.get_table_schema = getTableSchema;
+
+queryTables.get_find_table_name = (properties, queryTableName) => {
+  if (!_.has(properties.schema.query_tables, queryTableName)) {
+    throw (buildError('model.find.invalidquerytable', queryTableName));
+  }
+  return getTableName(properties, queryTableName);
+};
+
+// lightweight transactions can not be part of a batch spanning multiple partitions, and update or
+// delete queries can not be returned for batches, as the modified rows have to be read first
+queryTables.validate_options = (schema, operation, options) => {
+  if (!queryTables.is_enabled(schema)) return;
+  if (options.if_not_exist || options.if_exists || options.conditions) {
+    throw (buildError(
+      `model.${operation}.querytableerror`,
+      'lightweight transactions are not supported for models with query tables',
+    ));
+  }
+  if (operation !== 'save' && options.return_query) {
+    throw (buildError(
+      `model.${operation}.querytableerror`,
+      'return_query is not supported for models with query tables, as the modified rows have to be read first',
+    ));
+  }
+};
+
+// the copies of an instance are written completely, if a key column of a query table
+// was changed since the instance was loaded, the copy with the previous key is deleted
+queryTables.get_save_queries = (instance, options) => {
+  queryTables.validate_options(instance.constructor._properties.schema, 'save', options);
+  const loadedRow = getLoadedRow(instance);
+  const queries = loadedRow ? getStaleCopyQueries(instance, loadedRow) : [];
+  getTables(instance.constructor).forEach((table) => {
+    const row = getSaveRow(instance, table);
+    if (hasCompleteKey(table.keyFields, _.pick(row, table.keyFields))) {
+      queries.push(getInsertQuery(table, row, options.ttl));
+    }
+  });
+  return queries;
+};
+
+queryTables.execute = executeQueries;
+
+// the previous values of a row are unknown if the instance was not loaded from the db, so the row
+// is read first to delete the copies whose query table key is changed by the save
+queryTables.execute_save = (instance, statement, queries, queryOptions, callback) => {
+  const model = instance.constructor;
+  const keyQuery = _.pick(instance, getPrimaryKeyFields(model._properties.schema));
+  // a row with a primary key generated by a db function can not exist yet
+  const isNewRow = _.some(keyQuery, (value) => _.isNil(value) || _.isPlainObject(value));
+  if (!queryTables.is_enabled(model._properties.schema) || getLoadedRow(instance) || isNewRow) {
+    executeQueries(model, statement, queries, queryOptions, callback);
+    return;
+  }
+
+  findRows(model, keyQuery, queryOptions, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    const staleQueries = rows.length > 0 ? getStaleCopyQueries(instance, rows[0]) : [];
+    executeQueries(model, statement, staleQueries.concat(queries), queryOptions, callback);
+  });
+};
+
+queryTables.get_update_queries = (model, queryObject, updateValues, options, callback) => {
+  if (!queryTables.is_enabled(model._properties.schema)) {
+    callback(null, []);
+    return;
+  }
+
+  findRows(model, queryObject, options, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const primaryKeyFields = getPrimaryKeyFields(model._properties.schema);
+    // an update of a row that does not exist yet inserts the row
+    const isPrimaryKeyQuery = primaryKeyFields.every((fieldName) => (
+      !_.isNil(queryObject[fieldName]) && !_.isPlainObject(queryObject[fieldName])
+    ));
+    const oldRows = rows.length === 0 && isPrimaryKeyQuery ? [null] : rows;
+
+    const definedValues = _.omitBy(updateValues, _.isUndefined);
+    const plainValues = _.omitBy(definedValues, isOperatorValue);
+    const queries = [];
+    try {
+      oldRows.forEach((row) => {
+        const newRow = _.assign({}, row || _.pick(queryObject, primaryKeyFields), plainValues);
+        getTables(model).forEach((table) => {
+          queries.push(...getRowUpdateQueries(table, row, newRow, definedValues, options.ttl));
+        });
+      });
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, queries);
+  });
+};
+
+queryTables.get_delete_queries = (model, queryObject, options, callback) => {
+  if (!queryTables.is_enabled(model._properties.schema)) {
+    callback(null, []);
+    return;
+  }
+
+  findRows(model, queryObject, options, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const queries = [];
+    try {
+      rows.forEach((row) => {
+        getTables(model).forEach((table) => {
+          queries.push(...getRowDeleteQueries(table, row, options.columns));
+        });
+      });
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, queries);
+  });
+};
+
+queryTables.truncate = (model, callback) => {
+  const truncateTable = (table) => new Promise((resolve, reject) => {
+    model._execute_table_query(util.format('TRUNCATE TABLE %s;', table.identifier), [], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+
+  getTables(model).reduce((previous, table) => previous.then(() => truncateTable(table)), Promise.resolve())
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+module.exports = queryTables;
@@ -0,0 +1,145 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('./apollo_error.js');
+const promisify = require('../utils/promisify');
+
+const POPULATE_BATCH_SIZE = 100;
+
+// key values like uuids or longs are objects, so they are compared by their serialized form
+const getKeyString = (value) => JSON.stringify(value);
+
+const getPartitionKeyFields = (schema) => (_.isArray(schema.key[0]) ? schema.key[0] : [schema.key[0]]);
+
+// groups dotted relation paths like 'orders.items' by their first relation
+const parsePopulatePaths = (populate) => {
+  const paths = {};
+  populate.forEach((path) => {
+    const [relationName, ...nestedPath] = path.split('.');
+    if (!paths[relationName]) paths[relationName] = [];
+    if (nestedPath.length > 0) paths[relationName].push(nestedPath.join('.'));
+  });
+  return paths;
+};
+
+// the related rows are looked up by their partition key, so that they can
+// be fetched using $in queries without filtering on the related table
+const getRelatedModel = (model, relationName) => {
+  const properties = model._properties;
+  const relation = properties.schema.relations && properties.schema.relations[relationName];
+  if (!relation) {
+    throw (buildError(
+      'model.find.populateerror',
+      util.format('relation %s is not defined for model %s', relationName, properties.name),
+    ));
+  }
+  const relatedModel = properties.get_model(relation.model);
+  if (!relatedModel) {
+    throw (buildError(
+      'model.find.populateerror',
+      util.format('model %s of relation %s is not loaded', relation.model, relationName),
+    ));
+  }
+  if (!_.isEqual(getPartitionKeyFields(relatedModel._properties.schema), [relation.foreignKey])) {
+    throw (buildError(
+      'model.find.populateerror',
+      util.format('foreignKey %s of relation %s must be the partition key of model %s', relation.foreignKey, relationName, relation.model),
+    ));
+  }
+  return relatedModel;
+};
+
+const populateRelation = (model, rows, relationName, options) => {
+  const relation = model._properties.schema.relations[relationName];
+  const relatedModel = getRelatedModel(model, relationName);
+
+  const keys = _.uniqBy(
+    rows.map((row) => row[relation.localKey]).filter((key) => !_.isNil(key)),
+    getKeyString,
+  );
+  const findOptions = _.pick(options, ['raw', 'prepare', 'consistency']);
+  const queries = _.chunk(keys, POPULATE_BATCH_SIZE).map((batchKeys) => (
+    relatedModel.find({ [relation.foreignKey]: { $in: batchKeys } }, _.clone(findOptions))
+  ));
+
+  return Promise.all(queries).then((results) => {
+    const relatedRows = _.flatten(results);
+    const relatedRowsByKey = _.groupBy(relatedRows, (relatedRow) => getKeyString(relatedRow[relation.foreignKey]));
+    rows.forEach((row) => {
+      const matchingRows = relatedRowsByKey[getKeyString(row[relation.localKey])] || [];
+      row[relationName] = relation.type === 'hasMany' ? matchingRows : (matchingRows[0] || null);
+    });
+    return { relatedModel, relatedRows };
+  });
+};
+
+const populateRelations = (model, rows, populate, options) => {
+  const paths = parsePopulatePaths(populate);
+  return Promise.all(Object.keys(paths).map((relationName) => (
+    populateRelation(model, rows, relationName, options).then(({ relatedModel, relatedRows }) => {
+      if (paths[relationName].length === 0 || relatedRows.length === 0) return undefined;
+      return populateRelations(relatedModel, relatedRows, paths[relationName], options);
+    })
+  )));
+};
+
+const relations = {};
+
+// sets the related rows of each row as a property named like the relation,
+// an array for hasMany relations and a single row or null otherwise
+relations.populate_rows = (model, rows, populate, options, callback) => {
+  const relationPaths = _.isString(populate) ? [populate] : populate;
+  if (!_.isArray(relationPaths) || !relationPaths.every(_.isString)) {
+    callback(buildError('model.find.populateerror', 'populate must be a relation name or an array of relation names'));
+    return;
+  }
+
+  const schemaRelations = model._properties.schema.relations || {};
+  const unselectedRelation = options.select && Object.keys(parsePopulatePaths(relationPaths)).find((relationName) => (
+    schemaRelations[relationName] && !options.select.includes(schemaRelations[relationName].localKey)
+  ));
+  if (unselectedRelation) {
+    callback(buildError(
+      'model.find.populateerror',
+      util.format('localKey of relation %s must be selected', unselectedRelation),
+    ));
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => populateRelations(model, rows, relationPaths, options))
+    .then(() => {
+      callback(null, rows);
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+relations.populate = function f(populate, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.populate(populate, options, cb), f);
+  }
+
+  const defaults = {
+    raw: false,
+    prepare: true,
+  };
+
+  options = _.defaults({}, options, defaults);
+
+  relations.populate_rows(this.constructor, [this], populate, options, (err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, this);
+  });
+  return undefined;
+};
+
+module.exports = relations;
@@ -0,0 +1,69 @@
+const _ = require('lodash');
+
+const buildError = require('./apollo_error.js');
+const schemer = require('../validators/schema');
+
+const METADATA_FUNCTIONS = ['writetime', 'ttl'];
+const COLLECTION_TYPES = ['map', 'list', 'set'];
+
+const hasMetadataOptions = (options) => (
+  METADATA_FUNCTIONS.some((metaFunction) => _.isArray(options[metaFunction]) && options[metaFunction].length > 0)
+);
+
+// cassandra rejects writetime and ttl selectors of primary key, counter and non frozen collection columns
+const isMetadataColumn = (schema, fieldName) => {
+  if (!_.has(schema.fields, fieldName) || schema.fields[fieldName].virtual) return false;
+  if (schemer.is_primary_key_field(schema, fieldName)) return false;
+  const fieldType = schemer.get_field_type(schema, fieldName);
+  return fieldType !== 'counter' && !COLLECTION_TYPES.includes(fieldType);
+};
+
+// cassandra names the result column of an unaliased selector like writetime("name") as writetime(name)
+const getMetadataColumn = (metaFunction, fieldName) => `${metaFunction}(${fieldName})`;
+
+const rowMetadata = {};
+
+// adds the writetime and ttl selectors to the select option, as cassandra does not
+// support mixing them with *, all the table columns are selected explicitly instead
+rowMetadata.get_find_options = (schema, options) => {
+  if (!hasMetadataOptions(options)) return options;
+
+  const tableColumns = Object.keys(schema.fields).filter((fieldName) => !schema.fields[fieldName].virtual);
+  const metadataSelectors = [];
+  METADATA_FUNCTIONS.forEach((metaFunction) => {
+    (options[metaFunction] || []).forEach((fieldName) => {
+      if (!isMetadataColumn(schema, fieldName)) {
+        throw (buildError('model.find.invalidmetacolumn', metaFunction, fieldName));
+      }
+      metadataSelectors.push(getMetadataColumn(metaFunction, fieldName));
+    });
+  });
+
+  const select = options.select && options.select.length > 0 ? options.select : tableColumns;
+  return _.assign({}, options, { select: select.concat(metadataSelectors) });
+};
+
+// moves the selected writetime and ttl values of a row into its $meta object
+rowMetadata.extract_metadata = (row, options) => {
+  if (!hasMetadataOptions(options)) return null;
+
+  const metadata = {};
+  METADATA_FUNCTIONS.forEach((metaFunction) => {
+    if (!_.isArray(options[metaFunction])) return;
+    metadata[metaFunction] = {};
+    options[metaFunction].forEach((fieldName) => {
+      const metadataColumn = getMetadataColumn(metaFunction, fieldName);
+      metadata[metaFunction][fieldName] = row[metadataColumn];
+      delete row[metadataColumn];
+    });
+  });
+  return metadata;
+};
+
+// $meta is not enumerable, so that it's neither persisted nor serialized with the row
+rowMetadata.set_metadata = (target, metadata) => {
+  if (!metadata) return;
+  Object.defineProperty(target, '$meta', { value: metadata, writable: true, configurable: true });
+};
+
+module.exports = rowMetadata;
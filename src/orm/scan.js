@@ -0,0 +1,182 @@
+const _ = require('lodash');
+
+const buildError = require('./apollo_error.js');
+const promisify = require('../utils/promisify');
+
+const DEFAULT_SCAN_CONCURRENCY = 4;
+const DEFAULT_SCAN_PAGE_SIZE = 1000;
+const FULL_RING_RANGE_KEY = 'full_ring';
+
+const SCAN_OPTION_KEYS = ['concurrency', 'splitsPerNode', 'onRow', 'onProgress', 'checkpoint', 'pageSize'];
+
+const getRangeKey = (range) => `${range.start.toString()}:${range.end.toString()}`;
+
+// splits the ring into non wrapping token ranges using the driver metadata,
+// each range is start exclusive and end inclusive, a missing end means the end of the ring
+const getScanRanges = (client, splitsPerNode) => {
+  const tokenRanges = Array.from(client.metadata.getTokenRanges() || []);
+  if (tokenRanges.length === 0) {
+    // token metadata is not available, e.g. if isMetadataSyncEnabled is false
+    return [{ key: FULL_RING_RANGE_KEY }];
+  }
+
+  const tokenizer = client.metadata.tokenizer;
+  const minToken = tokenizer.minToken();
+  const hostCount = Math.max(client.hosts.length, 1);
+  const splitsPerRange = Math.max(1, Math.ceil((splitsPerNode * hostCount) / tokenRanges.length));
+
+  const scanRanges = [];
+  tokenRanges.forEach((tokenRange) => {
+    const splitRanges = splitsPerRange > 1 ? tokenRange.splitEvenly(splitsPerRange) : [tokenRange];
+    splitRanges.forEach((splitRange) => {
+      splitRange.unwrap().forEach((range) => {
+        if (range.isEmpty()) return;
+        scanRanges.push({
+          key: getRangeKey(range),
+          start: range.start,
+          end: range.end.equals(minToken) ? null : range.end,
+        });
+      });
+    });
+  });
+  return scanRanges;
+};
+
+const getRangeQuery = (schema, range) => {
+  if (range.key === FULL_RING_RANGE_KEY) return {};
+
+  const partitionKey = _.isArray(schema.key[0]) ? schema.key[0] : [schema.key[0]];
+  const tokenRelation = { $gt: range.start };
+  if (range.end) tokenRelation.$lte = range.end;
+
+  const rangeQuery = {};
+  rangeQuery[partitionKey.join(',')] = { $token: tokenRelation };
+  return rangeQuery;
+};
+
+const runScan = (model, ranges, options, callback) => {
+  const initialCheckpoint = options.checkpoint || {};
+  const checkpoint = {
+    completed: _.intersection(initialCheckpoint.completed || [], _.map(ranges, 'key')),
+    cursors: _.clone(initialCheckpoint.cursors || {}),
+  };
+  const pendingRanges = ranges.filter((range) => !checkpoint.completed.includes(range.key));
+  const findOptions = _.omit(options, SCAN_OPTION_KEYS);
+
+  let rowsScanned = 0;
+  let failed = false;
+
+  const getProgress = () => ({
+    totalRanges: ranges.length,
+    completedRanges: checkpoint.completed.length,
+    rowsScanned,
+    checkpoint: _.cloneDeep(checkpoint),
+  });
+
+  // rows of a page are handed over one by one, a promise returned
+  // from onRow holds back the scan of the range until it is resolved
+  const processRows = (rows) => rows.reduce((previous, row) => previous.then(() => {
+    rowsScanned++;
+    return options.onRow(row);
+  }), Promise.resolve());
+
+  const scanRange = (range, cursor) => {
+    const pageOptions = _.assign({}, findOptions, { pageSize: options.pageSize, cursor, queryGuard: false });
+    return model.paginate(getRangeQuery(model._properties.schema, range), pageOptions)
+      .then((page) => processRows(page.items).then(() => page))
+      .then((page) => {
+        if (page.hasMore && !failed) {
+          checkpoint.cursors[range.key] = page.nextCursor;
+          return scanRange(range, page.nextCursor);
+        }
+        if (failed) return null;
+
+        delete checkpoint.cursors[range.key];
+        checkpoint.completed.push(range.key);
+        if (typeof options.onProgress === 'function') options.onProgress(getProgress());
+        return null;
+      });
+  };
+
+  let nextRangeIndex = 0;
+  const worker = () => {
+    if (failed || nextRangeIndex >= pendingRanges.length) return Promise.resolve();
+    const range = pendingRanges[nextRangeIndex++];
+    return scanRange(range, checkpoint.cursors[range.key]).then(worker);
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(options.concurrency, pendingRanges.length); i++) {
+    workers.push(worker());
+  }
+
+  Promise.all(workers)
+    .then(() => {
+      callback(null, getProgress());
+    })
+    .catch((err) => {
+      failed = true;
+      err.checkpoint = _.cloneDeep(checkpoint);
+      callback(err);
+    });
+};
+
+const scan = {};
+
+scan.scan = function f(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback !== 'function') {
+    return promisify((cb) => this.scan(options, cb), f);
+  }
+
+  const defaults = {
+    concurrency: DEFAULT_SCAN_CONCURRENCY,
+    splitsPerNode: 1,
+    pageSize: DEFAULT_SCAN_PAGE_SIZE,
+    raw: false,
+    prepare: true,
+  };
+
+  options = _.defaults({}, options, defaults);
+
+  if (typeof options.onRow !== 'function') {
+    callback(buildError('model.find.scanerror', 'no valid onRow function was provided'));
+    return undefined;
+  }
+  if (!_.isInteger(options.concurrency) || options.concurrency < 1) {
+    callback(buildError('model.find.scanerror', 'concurrency must be a positive integer'));
+    return undefined;
+  }
+  if (!_.isInteger(options.splitsPerNode) || options.splitsPerNode < 1) {
+    callback(buildError('model.find.scanerror', 'splitsPerNode must be a positive integer'));
+    return undefined;
+  }
+
+  this.get_cql_client((err, client) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    client.connect((err1) => {
+      if (err1) {
+        callback(buildError('model.find.dberror', err1));
+        return;
+      }
+
+      let ranges;
+      try {
+        ranges = getScanRanges(client, options.splitsPerNode);
+      } catch (e) {
+        callback(buildError('model.find.scanerror', e.message));
+        return;
+      }
+      runScan(this, ranges, options, callback);
+    });
+  });
+  return undefined;
+};
+
+module.exports = scan;
@@ -0,0 +1,338 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('./apollo_error.js');
+const normalizer = require('../utils/normalizer');
+const parser = require('../utils/parser');
+const tenancy = require('../utils/tenancy');
+
+const getUniqueFields = (schema) => Object.keys(schema.fields).filter((fieldName) => (
+  _.isPlainObject(schema.fields[fieldName]) && schema.fields[fieldName].unique === true
+));
+
+const getKeyFields = (schema) => _.flatten(schema.key);
+
+const getTableName = (properties, fieldName) => `${properties.table_name}__unique_${fieldName}`;
+
+// a lookup table maps each claimed value to the primary key of the row that owns it
+const getTableSchema = (schema, fieldName) => {
+  const fields = {};
+  [fieldName].concat(getKeyFields(schema)).forEach((name) => {
+    const field = schema.fields[name];
+    fields[name] = _.isPlainObject(field) ? _.pick(field, ['type', 'typeDef']) : field;
+  });
+  return { fields, key: [fieldName] };
+};
+
+const getTable = (model, fieldName) => ({
+  identifier: tenancy.get_table_identifier(model._properties, getTableName(model._properties, fieldName)),
+  schema: getTableSchema(model._properties.schema, fieldName),
+  fieldName,
+});
+
+// values like uuids or longs may be given as strings, so they are compared by their string form
+const getValueString = (value) => (_.isPlainObject(value) || _.isArray(value) ? JSON.stringify(value) : String(value));
+
+const isSameValue = (value, otherValue) => {
+  if (_.isNil(value) || _.isNil(otherValue)) return _.isNil(value) && _.isNil(otherValue);
+  return getValueString(value) === getValueString(otherValue);
+};
+
+const isSameOwner = (keyFields, row, owner) => keyFields.every((fieldName) => (
+  isSameValue(row[fieldName], owner[fieldName])
+));
+
+const isApplied = (result) => !(result && result.rows && result.rows[0] && result.rows[0]['[applied]'] === false);
+
+const getClaimQuery = (table, value, owner) => {
+  const row = _.assign({ [table.fieldName]: value }, owner);
+  const params = [];
+  const values = Object.keys(row).map((fieldName) => {
+    const dbVal = parser.get_db_value_expression(table.schema, fieldName, row[fieldName]);
+    if (_.isPlainObject(dbVal) && dbVal.query_segment) {
+      params.push(dbVal.parameter);
+      return dbVal.query_segment;
+    }
+    return dbVal;
+  });
+  const query = util.format(
+    'INSERT INTO %s ( %s ) VALUES ( %s ) IF NOT EXISTS;',
+    table.identifier,
+    Object.keys(row).map((fieldName) => util.format('"%s"', fieldName)).join(' , '),
+    values.join(' , '),
+  );
+  return { query, params };
+};
+
+// a value is only released by the row owning it, so that a value claimed by another row in the meantime is kept
+const getReleaseQuery = (table, value, owner) => {
+  const whereClause = parser.get_where_clause(table.schema, { [table.fieldName]: value });
+  const ifClause = parser.get_if_clause(table.schema, owner);
+  return {
+    query: util.format('DELETE FROM %s %s %s;', table.identifier, whereClause.query, ifClause.query),
+    params: whereClause.params.concat(ifClause.params),
+  };
+};
+
+const executeQuery = (model, statement, context) => new Promise((resolve, reject) => {
+  const queryOptions = normalizer.normalize_query_option(context.options);
+  model._execute_table_query(statement.query, statement.params, queryOptions, (err, result) => {
+    if (err) reject(buildError(`model.${context.operation}.dberror`, err));
+    else resolve(result);
+  });
+});
+
+// resolves with false if the value was already claimed by the same row, so it's not released if the write fails
+const claimValue = (model, change, context) => {
+  const table = getTable(model, change.fieldName);
+  const statement = getClaimQuery(table, change.newValue, change.owner);
+  return executeQuery(model, statement, context).then((result) => {
+    if (isApplied(result)) return true;
+    if (isSameOwner(getKeyFields(model._properties.schema), result.rows[0], change.owner)) return false;
+    const error = buildError(`model.${context.operation}.uniqueconstraint`, change.fieldName, change.newValue);
+    error.field = change.fieldName;
+    error.value = change.newValue;
+    throw error;
+  });
+};
+
+const releaseValues = (model, releases, context) => releases.reduce((previous, release) => previous.then(() => {
+  const statement = getReleaseQuery(getTable(model, release.fieldName), release.value, release.owner);
+  return executeQuery(model, statement, context);
+}), Promise.resolve());
+
+const getOwner = (schema, row) => {
+  const owner = {};
+  getKeyFields(schema).forEach((fieldName) => {
+    owner[fieldName] = row[fieldName];
+  });
+  return owner;
+};
+
+const getChanges = (fieldNames, owner, oldRow, newRow) => fieldNames
+  .map((fieldName) => ({
+    fieldName,
+    owner,
+    oldValue: oldRow[fieldName],
+    newValue: newRow[fieldName],
+  }))
+  .filter((change) => !isSameValue(change.oldValue, change.newValue));
+
+const getValuesError = (operation, values) => {
+  const fieldName = _.findKey(values, _.isPlainObject);
+  if (!fieldName) return null;
+  return buildError(
+    `model.${operation}.uniqueerror`,
+    util.format('the value of unique field %s must be a plain value, db functions are not supported', fieldName),
+  );
+};
+
+// reads the unique values of the rows matching the query, raw rows can be read in any case
+const findRows = (model, queryObject, fieldNames, context, callback) => {
+  const select = _.union(getKeyFields(model._properties.schema), fieldNames);
+  const findOptions = _.assign(_.pick(context.options, ['consistency']), { raw: true, select, withDeleted: true });
+  model.find(_.clone(queryObject), findOptions, callback);
+};
+
+// the unique values of an instance loaded from the db are known, otherwise
+// the row with the same primary key is read to get the values it's using
+const getSaveChanges = (model, context, callback) => {
+  const instance = context.instance;
+  const schema = model._properties.schema;
+  const newValues = {};
+  getUniqueFields(schema).forEach((fieldName) => {
+    const value = instance[fieldName] !== undefined ? instance[fieldName] : instance._get_default_value(fieldName);
+    if (value !== undefined) newValues[fieldName] = value;
+  });
+  const fieldNames = Object.keys(newValues);
+  if (fieldNames.length === 0) {
+    callback(null, []);
+    return;
+  }
+  const valuesError = getValuesError('save', newValues);
+  if (valuesError) {
+    callback(valuesError);
+    return;
+  }
+
+  // db function defaults of the primary key are evaluated by cassandra, so the owner of the values would be unknown
+  const owner = _.mapValues(getOwner(schema, instance), (value, fieldName) => (
+    value !== undefined ? value : instance._get_default_value(fieldName)
+  ));
+  if (_.some(owner, (value) => _.isNil(value) || _.isPlainObject(value))) {
+    callback(buildError('model.save.uniqueerror', 'the primary key values must be set to claim the unique values'));
+    return;
+  }
+  const loadedValues = instance._loaded_values;
+  if (loadedValues && isSameOwner(getKeyFields(schema), loadedValues, owner)) {
+    callback(null, getChanges(fieldNames, owner, loadedValues, newValues));
+    return;
+  }
+  findRows(model, owner, fieldNames, context, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, getChanges(fieldNames, owner, rows[0] || {}, newValues));
+  });
+};
+
+const getUpdateChanges = (model, context, callback) => {
+  const schema = model._properties.schema;
+  const newValues = _.omitBy(_.pick(context.updateValues, getUniqueFields(schema)), _.isUndefined);
+  const fieldNames = Object.keys(newValues);
+  if (fieldNames.length === 0) {
+    callback(null, []);
+    return;
+  }
+  const valuesError = getValuesError('update', newValues);
+  if (valuesError) {
+    callback(valuesError);
+    return;
+  }
+
+  findRows(model, context.queryObject, fieldNames, context, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (rows.length > 1 && _.some(newValues, (value) => !_.isNil(value))) {
+      callback(buildError('model.update.uniqueerror', 'a unique value can not be set on multiple rows'));
+      return;
+    }
+    // an update of a row that does not exist yet inserts the row
+    const keyFields = getKeyFields(schema);
+    const isPrimaryKeyQuery = keyFields.every((fieldName) => (
+      !_.isNil(context.queryObject[fieldName]) && !_.isPlainObject(context.queryObject[fieldName])
+    ));
+    if (rows.length === 0 && isPrimaryKeyQuery) {
+      callback(null, getChanges(fieldNames, getOwner(schema, context.queryObject), {}, newValues));
+      return;
+    }
+    callback(null, _.flatMap(rows, (row) => getChanges(fieldNames, getOwner(schema, row), row, newValues)));
+  });
+};
+
+// deleting the rows or their unique columns releases the values they are using
+const getDeleteChanges = (model, context, callback) => {
+  const schema = model._properties.schema;
+  const columns = context.options.columns;
+  const deletedColumns = _.isArray(columns) ? columns : Object.keys(columns || {});
+  const fieldNames = getUniqueFields(schema).filter((fieldName) => !columns || deletedColumns.includes(fieldName));
+  if (fieldNames.length === 0) {
+    callback(null, []);
+    return;
+  }
+
+  findRows(model, context.queryObject, fieldNames, context, (err, rows) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, _.flatMap(rows, (row) => getChanges(fieldNames, getOwner(schema, row), row, {})));
+  });
+};
+
+const CHANGE_GETTERS = {
+  save: getSaveChanges,
+  update: getUpdateChanges,
+  delete: getDeleteChanges,
+};
+
+// the new values are claimed before the write and the old values are released after it, the
+// claimed values are released again if the write fails or a lightweight transaction is not applied
+const executeChanges = (model, changes, context, execute, callback) => {
+  const claimed = [];
+  let writeResult;
+
+  const claims = changes.filter((change) => !_.isNil(change.newValue));
+  claims.reduce((previous, change) => previous.then(() => claimValue(model, change, context).then((isClaimed) => {
+    if (isClaimed) claimed.push({ fieldName: change.fieldName, value: change.newValue, owner: change.owner });
+  })), Promise.resolve())
+    .then(() => new Promise((resolve, reject) => {
+      execute((err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    }))
+    .then((result) => {
+      writeResult = result;
+      if (!isApplied(result)) return releaseValues(model, claimed, context);
+      const releases = changes
+        .filter((change) => !_.isNil(change.oldValue))
+        .map((change) => ({ fieldName: change.fieldName, value: change.oldValue, owner: change.owner }));
+      return releaseValues(model, releases, context);
+    })
+    .then(() => {
+      callback(null, writeResult);
+    })
+    .catch((err) => {
+      if (writeResult) {
+        callback(err);
+        return;
+      }
+      const onReleased = () => {
+        callback(err);
+      };
+      releaseValues(model, claimed, context).then(onReleased, onReleased);
+    });
+};
+
+const uniqueConstraints = {};
+
+uniqueConstraints.get_fields = getUniqueFields;
+
+uniqueConstraints.is_enabled = (schema) => getUniqueFields(schema).length > 0;
+
+uniqueConstraints.is_unique_field = (schema, fieldName) => getUniqueFields(schema).includes(fieldName);
+
+uniqueConstraints.get_table_name = getTableName;
+
+uniqueConstraints.get_table_schema = getTableSchema;
+
+// the values are claimed using lightweight transactions, which can not be part of a batch
+uniqueConstraints.validate_options = (schema, operation, options) => {
+  if (!uniqueConstraints.is_enabled(schema) || !options.return_query) return;
+  throw (buildError(
+    `model.${operation}.uniqueerror`,
+    'return_query is not supported for models with unique fields, as the values are claimed before the write',
+  ));
+};
+
+// the context contains the operation, its options and either the instance to
+// save or the queryObject and for updates the updateValues of the operation
+uniqueConstraints.execute = (model, context, execute, callback) => {
+  if (!uniqueConstraints.is_enabled(model._properties.schema)) {
+    execute(callback);
+    return;
+  }
+
+  CHANGE_GETTERS[context.operation](model, context, (err, changes) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    executeChanges(model, changes, context, execute, callback);
+  });
+};
+
+uniqueConstraints.truncate = (model, callback) => {
+  const truncateTable = (fieldName) => new Promise((resolve, reject) => {
+    const query = util.format('TRUNCATE TABLE %s;', getTable(model, fieldName).identifier);
+    model._execute_table_query(query, [], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+
+  getUniqueFields(model._properties.schema)
+    .reduce((previous, fieldName) => previous.then(() => truncateTable(fieldName)), Promise.resolve())
+    .then(() => {
+      callback();
+    })
+    .catch((err) => {
+      callback(err);
+    });
+};
+
+module.exports = uniqueConstraints;
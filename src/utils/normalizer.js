@@ -32,6 +32,7 @@ const normalizer = {
   normalize_query_option(options) {
     const queryOptions = { prepare: options.prepare };
     if (options.consistency) queryOptions.consistency = options.consistency;
+    if (options.executionProfile) queryOptions.executionProfile = options.executionProfile;
     if (options.fetchSize) queryOptions.fetchSize = options.fetchSize;
     if (options.autoPage) queryOptions.autoPage = options.autoPage;
     if (options.hints) queryOptions.hints = options.hints;
@@ -39,7 +40,7 @@ const normalizer = {
     if (options.retry) queryOptions.retry = options.retry;
     if (options.serialConsistency) queryOptions.serialConsistency = options.serialConsistency;
     if (options.customPayload) queryOptions.customPayload = options.customPayload;
-    if (options.isIdempotent) queryOptions.isIdempotent = options.isIdempotent;
+    if (_.isBoolean(options.isIdempotent)) queryOptions.isIdempotent = options.isIdempotent;
     if (options.readTimeout) queryOptions.readTimeout = options.readTimeout;
     if (options.retry) queryOptions.retry = options.retry;
     if (options.retryOnTimeout) queryOptions.retryOnTimeout = options.retryOnTimeout;
@@ -243,6 +243,12 @@ parser.get_update_value_expression = function f(instance, schema, updateValues,
   return { updateClauses, queryParams, errorHappened };
 };
 
+// with optimistic locking the version is generated on the client side, so that
+// the instance knows the version it has written and can use it as the next condition
+parser.generate_version = function f() {
+  return cql.types.TimeUuid.now();
+};
+
 parser.get_save_value_expression = function fn(instance, schema, callback) {
   const identifiers = [];
   const values = [];
@@ -255,7 +261,9 @@ parser.get_save_value_expression = function fn(instance, schema, callback) {
   }
 
   if (schema.options && schema.options.versions) {
-    if (instance[schema.options.versions.key]) {
+    if (schema.options.versions.optimistic_locking) {
+      instance[schema.options.versions.key] = parser.generate_version();
+    } else if (instance[schema.options.versions.key]) {
       instance[schema.options.versions.key] = { $db_function: 'now()' };
     }
   }
@@ -354,7 +362,14 @@ parser.extract_query_relations = function f(fieldName, relationKey, relationValu
       throw (buildError('model.find.invalidtokenop', tokenRelationKey));
     }
 
-    if (_.isArray(tokenRelationValue)) {
+    if (cql.token && tokenRelationValue instanceof cql.token.Token) {
+      // raw token values, e.g. token range boundaries from the driver metadata
+      queryRelations.push(util.format(
+        'token("%s") %s ?',
+        fieldName.split(',').map((tokenKey) => tokenKey.trim()).join('","'), operator,
+      ));
+      queryParams.push(tokenRelationValue.getValue());
+    } else if (_.isArray(tokenRelationValue)) {
       const tokenKeys = fieldName.split(',');
       for (let tokenIndex = 0; tokenIndex < tokenRelationValue.length; tokenIndex++) {
         tokenKeys[tokenIndex] = tokenKeys[tokenIndex].trim();
@@ -557,6 +572,54 @@ parser.get_if_clause = function f(schema, queryObject) {
   return parser.get_filter_clause(schema, queryObject, 'IF');
 };
 
+// builds the column selectors of a DELETE query, a column is either deleted as a whole,
+// or by map keys using {$keys: [...]} and by list indexes using {$index: [...]}
+parser.get_delete_columns_clause = function f(schema, columns) {
+  const elementOperators = { $keys: 'map', $index: 'list' };
+  const columnSpecs = _.isArray(columns) ? _.zipObject(columns, columns.map(() => true)) : columns;
+  if (!_.isPlainObject(columnSpecs) || _.isEmpty(columnSpecs)) {
+    throw (buildError('model.delete.invalidcolumnop', 'columns must be a non empty array or object'));
+  }
+
+  const selectors = [];
+  const params = [];
+  _.forEach(columnSpecs, (columnSpec, fieldName) => {
+    if (!_.has(schema.fields, fieldName) || schema.fields[fieldName].virtual) {
+      throw (buildError('model.delete.invalidcolumnop', util.format('invalid column: %s', fieldName)));
+    }
+    if (columnSpec === true) {
+      parser.unset_not_allowed('delete', schema, fieldName);
+      selectors.push(util.format('"%s"', fieldName));
+      return;
+    }
+
+    const operator = _.isPlainObject(columnSpec) && Object.keys(columnSpec).length === 1
+      ? Object.keys(columnSpec)[0]
+      : null;
+    if (!_.has(elementOperators, operator) || !_.isArray(columnSpec[operator]) || columnSpec[operator].length < 1) {
+      throw (buildError(
+        'model.delete.invalidcolumnop',
+        util.format('column %s must be true or an object with a non empty $keys or $index array', fieldName),
+      ));
+    }
+    if (schemer.get_field_type(schema, fieldName) !== elementOperators[operator]) {
+      throw (buildError(
+        'model.delete.invalidcolumnop',
+        util.format('%s is only supported for %s columns, column: %s', operator, elementOperators[operator], fieldName),
+      ));
+    }
+    columnSpec[operator].forEach((element) => {
+      selectors.push(util.format('"%s"[?]', fieldName));
+      params.push(element);
+    });
+  });
+
+  return {
+    query: selectors.join(', '),
+    params,
+  };
+};
+
 parser.get_primary_key_clauses = function f(schema) {
   const partitionKey = schema.key[0];
   let clusteringKey = schema.key.slice(1, schema.key.length);
@@ -0,0 +1,25 @@
+// runs a callback style operation and returns a native promise for it.
+// the stack of the original caller is captured synchronously and appended
+// to the rejection error, otherwise the error stack would only show the
+// driver internals where the error was created.
+const promisify = function f(executor, caller) {
+  const callsite = {};
+  Error.captureStackTrace(callsite, caller || f);
+
+  return new Promise((resolve, reject) => {
+    executor((err, result) => {
+      if (err) {
+        if (err instanceof Error && typeof err.stack === 'string' && !err._callsite_attached) {
+          const callerFrames = callsite.stack.split('\n').slice(1).join('\n');
+          err.stack = `${err.stack}\nFrom previous event:\n${callerFrames}`;
+          Object.defineProperty(err, '_callsite_attached', { value: true });
+        }
+        reject(err);
+        return;
+      }
+      resolve(result);
+    });
+  });
+};
+
+module.exports = promisify;
@@ -0,0 +1,240 @@
+const _ = require('lodash');
+const util = require('util');
+
+const buildError = require('../orm/apollo_error.js');
+const schemer = require('../validators/schema');
+
+const QUERY_OPERATORS = [
+  '$eq', '$ne', '$isnt', '$gt', '$lt', '$gte', '$lte', '$in', '$like', '$token', '$contains', '$contains_key',
+];
+const RANGE_OPERATORS = ['$gt', '$lt', '$gte', '$lte'];
+const COLLECTION_TYPES = ['map', 'list', 'set'];
+const QUERY_GUARD_MODES = ['warn', 'error'];
+
+const getPartitionKey = (key) => (_.isArray(key[0]) ? key[0] : [key[0]]);
+
+// returns the operators used for each restricted field, following the rules of parser.get_where_clause,
+// where a value that is not an object of operators is compared for equality
+const getRestrictions = (queryObject) => {
+  const restrictions = {};
+  Object.keys(queryObject).forEach((fieldName) => {
+    if (fieldName.startsWith('$')) return;
+    const relations = _.isArray(queryObject[fieldName]) ? queryObject[fieldName] : [queryObject[fieldName]];
+    const operators = _.flatMap(relations, (relation) => {
+      if (!_.isPlainObject(relation)) return ['$eq'];
+      const relationKeys = Object.keys(relation);
+      if (!relationKeys.every((relationKey) => QUERY_OPERATORS.includes(relationKey))) return ['$eq'];
+      return relationKeys;
+    });
+    restrictions[fieldName] = _.uniq(operators);
+  });
+  return restrictions;
+};
+
+const isEqualityRestricted = (restrictions, fieldName) => (
+  _.has(restrictions, fieldName) && restrictions[fieldName].every((operator) => ['$eq', '$in'].includes(operator))
+);
+
+// returns the operators of the token relations given for the comma separated partition key fields,
+// only a token equality restricts a query to a single partition, a token range reads a range of partitions
+const getTokenOperators = (queryObject, partitionKey) => _.flatMap(Object.keys(queryObject), (fieldName) => {
+  if (!_.isEqual(fieldName.split(',').map((tokenKey) => tokenKey.trim()), partitionKey)) return [];
+  const relations = _.isArray(queryObject[fieldName]) ? queryObject[fieldName] : [queryObject[fieldName]];
+  return _.flatMap(relations, (relation) => (
+    _.isPlainObject(relation) && _.isPlainObject(relation.$token)
+      ? Object.keys(relation.$token).map((operator) => operator.toLowerCase())
+      : []
+  ));
+});
+
+// the secondary indexes are given as field names or as keys(), values(), entries() or full() of a field
+const getIndexes = (schema) => {
+  const indexes = (schema.indexes || []).map((indexDef) => {
+    const indexNameList = indexDef.replace(/["\s]/g, '').split(/[()]/g);
+    if (indexNameList.length > 1) return { fieldName: indexNameList[1], kind: indexNameList[0].toLowerCase() };
+    const isCollection = COLLECTION_TYPES.includes(schemer.get_field_type(schema, indexNameList[0]));
+    return { fieldName: indexNameList[0], kind: isCollection ? 'values' : 'regular' };
+  });
+  const customIndexes = schema.custom_indexes || (schema.custom_index ? [schema.custom_index] : []);
+  return indexes.concat(customIndexes.map((customIndex) => ({ fieldName: customIndex.on, kind: 'custom' })));
+};
+
+// custom indexes like sasi support equality, range and like queries
+const isIndexedRestriction = (indexes, fieldName, operators) => indexes.some((index) => {
+  if (index.fieldName !== fieldName) return false;
+  if (index.kind === 'custom') return operators.every((operator) => operator !== '$in');
+  if (index.kind === 'keys') return operators.every((operator) => operator === '$contains_key');
+  if (index.kind === 'values') return operators.every((operator) => operator === '$contains');
+  return index.kind !== 'entries' && operators.every((operator) => operator === '$eq');
+});
+
+// clustering columns have to be restricted in their order and only the last restricted one may use a range
+const getClusteringFilterFields = (clusteringKey, restrictions) => {
+  const filterFields = [];
+  let isPrefix = true;
+  clusteringKey.forEach((fieldName) => {
+    if (!_.has(restrictions, fieldName)) {
+      isPrefix = false;
+      return;
+    }
+    if (!isPrefix) filterFields.push(fieldName);
+    if (_.intersection(restrictions[fieldName], RANGE_OPERATORS).length > 0) isPrefix = false;
+  });
+  return filterFields;
+};
+
+// the source of a find query is the table, or a materialized view or query table given in the options
+const getQuerySource = (schema, options) => {
+  if (options.materialized_view && schema.materialized_views && schema.materialized_views[options.materialized_view]) {
+    return { key: schema.materialized_views[options.materialized_view].key, indexes: [] };
+  }
+  if (options.query_table && schema.query_tables && schema.query_tables[options.query_table]) {
+    return { key: schema.query_tables[options.query_table].key, indexes: [] };
+  }
+  return { key: schema.key, indexes: getIndexes(schema) };
+};
+
+const getIndexDefinition = (fieldName, operators) => {
+  if (operators.includes('$contains_key')) return util.format('keys(%s)', fieldName);
+  if (operators.includes('$contains')) return util.format('values(%s)', fieldName);
+  return fieldName;
+};
+
+// suggests the existing views and query tables keyed by the fields restricted for equality,
+// otherwise a new materialized view or index for each of the restricted fields
+const getSuggestions = (schema, restrictions, options) => {
+  // views and query tables can not be indexed, so only the queries of the table get suggestions
+  if (options.materialized_view || options.query_table) return [];
+
+  const canServe = (key) => getPartitionKey(key).every((fieldName) => isEqualityRestricted(restrictions, fieldName));
+  const suggestions = [];
+  _.forEach(schema.materialized_views, (view, viewName) => {
+    if (!canServe(view.key)) return;
+    suggestions.push({
+      type: 'materialized_view',
+      name: viewName,
+      description: util.format('query the existing materialized view using { materialized_view: \'%s\' }', viewName),
+    });
+  });
+  _.forEach(schema.query_tables, (queryTable, queryTableName) => {
+    if (!canServe(queryTable.key)) return;
+    suggestions.push({
+      type: 'query_table',
+      name: queryTableName,
+      description: util.format('query the existing query table using { query_table: \'%s\' }', queryTableName),
+    });
+  });
+  if (suggestions.length > 0) return suggestions;
+
+  const primaryKey = _.flatten(schema.key);
+  _.forEach(restrictions, (operators, fieldName) => {
+    if (!schemer.has_field(schema, fieldName) || operators.includes('$token')) return;
+    if (operators.every((operator) => ['$eq', '$in'].includes(operator)) && !primaryKey.includes(fieldName)) {
+      suggestions.push({
+        type: 'materialized_view',
+        key: [[fieldName]].concat(primaryKey),
+        description: util.format('create a materialized view with the key %j', [[fieldName]].concat(primaryKey)),
+      });
+    }
+    const isCustom = _.intersection(operators, RANGE_OPERATORS.concat('$like')).length > 0;
+    const definition = getIndexDefinition(fieldName, operators);
+    suggestions.push({
+      type: isCustom ? 'custom_index' : 'index',
+      on: definition,
+      description: isCustom
+        ? util.format('create a sasi index on %s in custom_indexes', fieldName)
+        : util.format('create a secondary index using indexes: [\'%s\']', definition),
+    });
+  });
+  if (suggestions.length === 0) {
+    suggestions.push({ type: 'scan', description: 'use the scan function to read all the rows of the table' });
+  }
+  return suggestions;
+};
+
+const analyzer = {};
+
+// classifies a find query by the way cassandra is going to serve it: the partitions of a
+// partition restricted query are known, an index backed query reads the index of each
+// node, a token range query reads all the partitions of the range, while a full scan
+// reads all the partitions of the table
+analyzer.analyze = (schema, queryObject, options) => {
+  options = options || {};
+  const restrictions = getRestrictions(queryObject);
+  const source = getQuerySource(schema, options);
+  const partitionKey = getPartitionKey(source.key);
+  const clusteringKey = _.flatten(source.key.slice(1));
+  const warnings = [];
+
+  const tokenOperators = getTokenOperators(queryObject, partitionKey);
+  const isPartitionRestricted = tokenOperators.includes('$eq')
+    || partitionKey.every((fieldName) => isEqualityRestricted(restrictions, fieldName));
+  // the key fields of a partition restricted query are checked by the order of the clustering columns
+  const filterFields = Object.keys(restrictions).filter((fieldName) => {
+    if (restrictions[fieldName].includes('$token')) return false;
+    if (isPartitionRestricted && (partitionKey.includes(fieldName) || clusteringKey.includes(fieldName))) return false;
+    return !isIndexedRestriction(source.indexes, fieldName, restrictions[fieldName]);
+  }).concat(isPartitionRestricted ? getClusteringFilterFields(clusteringKey, restrictions) : []);
+  const isIndexBacked = !isPartitionRestricted && (
+    _.has(queryObject, '$expr') || _.has(queryObject, '$solr_query')
+    || _.some(restrictions, (operators, fieldName) => isIndexedRestriction(source.indexes, fieldName, operators))
+  );
+
+  let type = 'full_scan';
+  if (isPartitionRestricted) type = 'partition';
+  else if (isIndexBacked) type = 'index';
+  else if (tokenOperators.length > 0) type = 'token_range';
+
+  if (type === 'full_scan' && !_.isEmpty(restrictions)) {
+    warnings.push(util.format(
+      'the partition key (%s) is not restricted by equality or IN, so all the partitions are read',
+      partitionKey.join(', '),
+    ));
+  }
+  if (type === 'token_range') {
+    warnings.push(util.format(
+      'the partition key (%s) is restricted by a token range, so all the partitions of the range are read',
+      partitionKey.join(', '),
+    ));
+  }
+  if (filterFields.length > 0 && !options.allow_filtering) {
+    warnings.push(util.format('filtering on %s requires allow_filtering', filterFields.join(', ')));
+  }
+  if (!isPartitionRestricted && _.has(queryObject, '$orderby')) {
+    warnings.push('$orderby is only supported if the partition key is restricted by equality or IN');
+  }
+
+  return {
+    type,
+    requiresFiltering: filterFields.length > 0,
+    warnings,
+    suggestions: type === 'full_scan' ? getSuggestions(schema, restrictions, options) : [],
+  };
+};
+
+analyzer.validate_query_guard = (queryGuard) => {
+  if (_.isNil(queryGuard) || QUERY_GUARD_MODES.includes(queryGuard)) return;
+  throw (buildError('model.validator.invalidconfig', 'queryGuard must be either warn or error'));
+};
+
+// full scans and token range scans are reported in warn mode and rejected in error mode, unless
+// the guard is turned off for a query by the queryGuard find option, e.g. for intended scans
+analyzer.guard = (properties, queryObject, options) => {
+  if (!properties.query_guard || options.queryGuard === false) return;
+  const analysis = analyzer.analyze(properties.schema, queryObject, options);
+  if (!['full_scan', 'token_range'].includes(analysis.type)) return;
+
+  const message = util.format(
+    '%s of table %s%s',
+    analysis.type === 'full_scan' ? 'full scan' : 'token range scan',
+    properties.table_name,
+    analysis.suggestions.length > 0 ? util.format(', %s', analysis.suggestions[0].description) : '',
+  );
+  if (properties.query_guard === 'error') {
+    throw (buildError('model.find.fullscan', message));
+  }
+  // eslint-disable-next-line no-console
+  console.warn(util.format('WARN: %s', message));
+};
+
+module.exports = analyzer;
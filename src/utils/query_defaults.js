@@ -0,0 +1,71 @@
+const _ = require('lodash');
+const util = require('util');
+
+const CONSISTENCY_TYPES = ['read', 'write', 'serial'];
+
+// definition queries are executed with the options of the definition connection
+const DEFINITION_QUERY_PATTERN = /^\s*(create|alter|drop|use|grant|revoke|list)\b/i;
+
+// consistencies can be given by their names in the consistencies of the driver, like localQuorum, or by their values
+const getConsistency = (consistencies, consistency, consistencyType) => {
+  if (_.isNil(consistency)) return undefined;
+  if (_.isString(consistency) && _.has(consistencies, consistency)) return consistencies[consistency];
+  if (_.includes(_.values(consistencies), consistency)) return consistency;
+  throw (new Error(util.format('invalid %s consistency: %s', consistencyType, consistency)));
+};
+
+const queryDefaults = {};
+
+// returns the query options applied by default to the read and write queries, given the consistency
+// and executionProfile options of the orm or of a model schema
+queryDefaults.get_defaults = (consistencies, options) => {
+  const consistencyOptions = options.consistency || {};
+  if (!_.isPlainObject(consistencyOptions) || !_.every(_.keys(consistencyOptions), (consistencyType) => (
+    CONSISTENCY_TYPES.includes(consistencyType)
+  ))) {
+    throw (new Error(util.format('consistency must be an object with the attributes %s', CONSISTENCY_TYPES.join(', '))));
+  }
+  if (!_.isNil(options.executionProfile) && !_.isString(options.executionProfile)) {
+    throw (new Error('executionProfile must be the name of an execution profile of the client'));
+  }
+
+  const consistency = _.mapValues(_.pick(consistencyOptions, CONSISTENCY_TYPES), (value, consistencyType) => (
+    getConsistency(consistencies, value, consistencyType)
+  ));
+  return {
+    read: _.omitBy({
+      consistency: consistency.read,
+      executionProfile: options.executionProfile,
+    }, _.isNil),
+    write: _.omitBy({
+      consistency: consistency.write,
+      serialConsistency: consistency.serial,
+      executionProfile: options.executionProfile,
+    }, _.isNil),
+  };
+};
+
+// the defaults of a model override the defaults of the orm, a model with an execution profile
+// does not get the consistencies of the orm, so that the consistencies of its profile are used
+queryDefaults.merge = (ormDefaults, modelDefaults) => _.mapValues(modelDefaults, (defaults, statementType) => {
+  if (defaults.executionProfile) return defaults;
+  return _.assign({}, ormDefaults[statementType], defaults);
+});
+
+queryDefaults.get_statement_type = (query) => {
+  if (/^\s*select\b/i.test(query)) return 'read';
+  if (DEFINITION_QUERY_PATTERN.test(query)) return null;
+  return 'write';
+};
+
+// the options given for a query override the defaults, likewise the consistencies
+// of an execution profile given for a query are not overridden by the defaults
+queryDefaults.apply = (defaults, statementType, options) => {
+  if (!defaults || !statementType || _.isEmpty(defaults[statementType])) return options;
+  const statementDefaults = options.executionProfile
+    ? _.omit(defaults[statementType], ['consistency', 'serialConsistency', 'executionProfile'])
+    : defaults[statementType];
+  return _.defaults({}, options, statementDefaults);
+};
+
+module.exports = queryDefaults;
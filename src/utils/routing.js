@@ -0,0 +1,137 @@
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+let dseDriver;
+try {
+  // eslint-disable-next-line import/no-extraneous-dependencies, import/no-unresolved
+  dseDriver = require('dse-driver');
+} catch (e) {
+  dseDriver = null;
+}
+
+const cql = Promise.promisifyAll(dseDriver || require('cassandra-driver'));
+
+const debug = require('debug')('express-cassandra');
+
+const schemer = require('../validators/schema');
+const normalizer = require('./normalizer');
+
+const WRITE_STATEMENT_PATTERN = /^\s*(insert|update|delete)\b/i;
+const QUOTED_PATTERN = /"(?:[^"]|"")*"|'(?:[^']|'')*'/g;
+const FUNCTION_CALL_PATTERN = /\b\w+\(/;
+const CONDITION_PATTERN = /\bIF\b/i;
+const PREPEND_PATTERN = /=\s*\?\s*\+\s*"/;
+// assignments using the current value of a column, like "counter" = "counter" + ?
+const SELF_ASSIGNMENT_PATTERN = /"((?:[^"]|"")+)"\s*=\s*"\1"\s*([+-])/g;
+const ELEMENT_DELETE_PATTERN = /^\s*delete\s+([\s\S]*?)\bFROM\b/i;
+const ELEMENT_PATTERN = /"((?:[^"]|"")+)"\s*\[/g;
+
+let encoder;
+const getEncoder = () => {
+  if (!encoder && cql.Encoder) encoder = new cql.Encoder(cql.types.protocolVersion.maxSupported, {});
+  return encoder;
+};
+
+const getPartitionKey = (key) => (_.isArray(key[0]) ? key[0] : [key[0]]);
+
+// only a partition key field restricted to a single value can be routed
+const getRoutingValue = (value) => {
+  const routingValue = _.isPlainObject(value) && _.size(value) === 1 && _.has(value, '$eq') ? value.$eq : value;
+  if (_.isNil(routingValue) || _.isPlainObject(routingValue) || _.isArray(routingValue)) return undefined;
+  return routingValue;
+};
+
+// columns incremented by a value are counters, list appends or additions to sets and maps,
+// of which only the additions to sets and maps are idempotent
+const isIdempotentAssignment = (schema, fieldName, operator) => {
+  const fieldType = schema ? schemer.get_field_type(schema, fieldName) : null;
+  if (fieldType === 'counter' || !fieldType) return false;
+  return operator === '-' || ['set', 'map'].includes(fieldType);
+};
+
+const getFieldNames = (query, pattern) => {
+  const fieldNames = [];
+  pattern.lastIndex = 0;
+  let match = pattern.exec(query);
+  while (match !== null) {
+    fieldNames.push({ fieldName: match[1].replace(/""/g, '"'), operator: match[2] });
+    match = pattern.exec(query);
+  }
+  return fieldNames;
+};
+
+// the elements of lists are deleted by their index, which changes with each deletion
+const isIdempotentElementDelete = (schema, fieldName) => {
+  const fieldType = schema ? schemer.get_field_type(schema, fieldName) : null;
+  return !!fieldType && fieldType !== 'list';
+};
+
+const routing = {};
+
+// returns the partition key values of a query or a row encoded as routing key of the driver,
+// or null if the partition key is not restricted to a single value
+routing.get_routing_key = (schema, values, key) => {
+  const partitionKey = getPartitionKey(key || schema.key);
+  const routingValues = partitionKey.map((fieldName) => getRoutingValue(values[fieldName]));
+  if (!getEncoder() || routingValues.some(_.isUndefined)) return null;
+  try {
+    return partitionKey.map((fieldName, index) => (
+      getEncoder().encode(routingValues[index], schemer.get_field_type(schema, fieldName))
+    ));
+  } catch (e) {
+    debug('routing key could not be encoded: %s', e.message);
+    return null;
+  }
+};
+
+// reads are idempotent, writes unless they are conditional, contain function calls like now() or uuid(),
+// increment counters, append to lists or delete list elements. Without a schema the types of the columns
+// are not known, so any increment or element deletion is taken as not idempotent
+routing.is_idempotent = (query, schema) => {
+  if (/^\s*select\b/i.test(query)) return true;
+  if (!WRITE_STATEMENT_PATTERN.test(query)) return false;
+
+  const unquotedQuery = query.replace(QUOTED_PATTERN, '""');
+  if (CONDITION_PATTERN.test(unquotedQuery) || FUNCTION_CALL_PATTERN.test(unquotedQuery)) return false;
+  if (PREPEND_PATTERN.test(query)) return false;
+
+  const deleteMatch = ELEMENT_DELETE_PATTERN.exec(query);
+  if (deleteMatch && !getFieldNames(deleteMatch[1], ELEMENT_PATTERN).every((element) => (
+    isIdempotentElementDelete(schema, element.fieldName)
+  ))) return false;
+
+  return getFieldNames(query, SELF_ASSIGNMENT_PATTERN).every((assignment) => (
+    isIdempotentAssignment(schema, assignment.fieldName, assignment.operator)
+  ));
+};
+
+// sets the routing key and the idempotence of the statements in the query options, unless they are given
+// already. The statement contains the query or the queries of a batch, the values restricting the partition
+// key and the key of the table, if it's not the key of the schema, like for materialized views
+routing.apply = (schema, statement, queryOptions) => {
+  const routingOptions = {};
+  if (!queryOptions.routingKey && !queryOptions.routingIndexes && !queryOptions.routingNames) {
+    const routingKey = statement.routingKey
+      || (schema && statement.keyValues ? routing.get_routing_key(schema, statement.keyValues, statement.key) : null);
+    if (routingKey) routingOptions.routingKey = routingKey;
+  }
+  if (!_.isBoolean(queryOptions.isIdempotent)) {
+    const queries = _.isArray(statement.query) ? statement.query : [statement.query];
+    routingOptions.isIdempotent = !queryOptions.counter
+      && queries.every((query) => routing.is_idempotent(query, schema));
+  }
+  return _.assign({}, queryOptions, routingOptions);
+};
+
+// the find queries are routed by the partition key of the table, materialized view or query table they read from
+routing.get_find_query_options = (schema, query, queryObject, options) => {
+  let key = schema.key;
+  if (options.materialized_view && _.has(schema.materialized_views, options.materialized_view)) {
+    key = schema.materialized_views[options.materialized_view].key;
+  } else if (options.query_table && _.has(schema.query_tables, options.query_table)) {
+    key = schema.query_tables[options.query_table].key;
+  }
+  return routing.apply(schema, { query, keyValues: queryObject, key }, normalizer.normalize_query_option(options));
+};
+
+module.exports = routing;
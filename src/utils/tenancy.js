@@ -0,0 +1,27 @@
+const _ = require('lodash');
+const util = require('util');
+
+const KEYSPACE_NAME_PATTERN = /^[a-zA-Z0-9_]{1,48}$/;
+
+const tenancy = {};
+
+tenancy.validate_resolver = (resolver) => {
+  if (_.isNil(resolver) || typeof resolver === 'function') return;
+  throw (new Error('tenantResolver must be a function returning the keyspace name of a tenant id'));
+};
+
+tenancy.validate_keyspace_name = (keyspaceName) => (
+  _.isString(keyspaceName) && KEYSPACE_NAME_PATTERN.test(keyspaceName)
+);
+
+// the queries of the models and the builders use names without keyspace, which are resolved in the
+// keyspace of the client, so the tables, views, indexes, types and functions of tenants are qualified
+tenancy.qualify_name = (keyspaceName, name) => (keyspaceName ? util.format('"%s".%s', keyspaceName, name) : name);
+
+// returns the quoted name of a table of a model, qualified by the keyspace if it's a model of a tenant
+tenancy.get_table_identifier = (properties, tableName) => tenancy.qualify_name(
+  _.isUndefined(properties.tenant_id) ? null : properties.keyspace,
+  util.format('"%s"', tableName),
+);
+
+module.exports = tenancy;
@@ -25,6 +25,10 @@ const schemer = {
         };
         optionFieldNames.push(versionOptions.key);
       }
+
+      if (modelSchema.options.paranoid) {
+        optionFieldNames.push(modelSchema.options.paranoid.deletedAt || 'deletedAt');
+      }
     }
     return _.has(modelSchema.fields, fieldName) || optionFieldNames.includes(fieldName);
   },
@@ -47,6 +51,27 @@ const schemer = {
     if (!(this.is_field_default_value_valid(modelSchema, fieldName))) {
       throw (new Error(util.format('Invalid default value for field: %s(%s)', fieldName, fieldtype)));
     }
+    if (fieldObject.unique) this.validate_unique_field(modelSchema, fieldObject, fieldName);
+  },
+
+  validate_unique_field(modelSchema, fieldObject, fieldName) {
+    if (fieldObject.unique !== true) {
+      throw (new Error(util.format('unique must be a boolean true on field: %s', fieldName)));
+    }
+    if (fieldObject.virtual || fieldObject.static) {
+      throw (new Error(util.format('unique is not supported for virtual or static field: %s', fieldName)));
+    }
+    const fieldtype = this.get_field_type(modelSchema, fieldName);
+    if (['map', 'list', 'set', 'counter'].includes(fieldtype)) {
+      throw (new Error(util.format('unique is not supported for field type "%s" on field: %s', fieldtype, fieldName)));
+    }
+    if (this.is_primary_key_field(modelSchema, fieldName)) {
+      throw (new Error(util.format('unique can not be used on primary key field: %s', fieldName)));
+    }
+    // soft deletes only mark the rows, so the lookup rows would not be updated
+    if (modelSchema.options && modelSchema.options.paranoid) {
+      throw (new Error(util.format('unique is not supported together with the paranoid option on field: %s', fieldName)));
+    }
   },
 
   validate_primary_key(modelSchema) {
@@ -257,6 +282,105 @@ const schemer = {
     }
   },
 
+  validate_query_table(modelSchema, queryTable, queryTableName) {
+    if (!_.isPlainObject(queryTable)) {
+      throw (new Error(util.format('query_table %s must be an object with a key and optional select attributes', queryTableName)));
+    }
+    if (!_.isArray(queryTable.key) || queryTable.key.length === 0) {
+      throw (new Error(util.format('query_table %s must have a non empty "key" array', queryTableName)));
+    }
+    if (queryTable.select && !_.isArray(queryTable.select)) {
+      throw (new Error(util.format('query_table %s: select must be an array of field names', queryTableName)));
+    }
+    if (queryTable.table_name && !this.validate_table_name(queryTable.table_name)) {
+      throw (new Error(util.format('query_table %s: table_name must be a valid table name', queryTableName)));
+    }
+    const columns = _.flatten(queryTable.key).concat(queryTable.select || []);
+    columns.forEach((fieldName) => {
+      if ((typeof (fieldName) !== 'string') || !this.has_field(modelSchema, fieldName)) {
+        throw (new Error(util.format('query_table %s: key and select must contain valid field names', queryTableName)));
+      }
+      if (modelSchema.fields[fieldName] && modelSchema.fields[fieldName].virtual) {
+        throw (new Error(util.format('query_table %s: key and select cannot contain virtual fields', queryTableName)));
+      }
+      if (modelSchema.fields[fieldName] && this.get_field_type(modelSchema, fieldName) === 'counter') {
+        throw (new Error(util.format('query_table %s: counter fields are not supported', queryTableName)));
+      }
+    });
+    if (queryTable.clustering_order) {
+      _.forEach(queryTable.clustering_order, (order, fieldName) => {
+        if (!['asc', 'desc'].includes(String(order).toLowerCase()) || queryTable.key.indexOf(fieldName) < 1) {
+          throw (new Error(util.format(
+            'query_table %s: clustering_order must map clustering keys to ASC or DESC',
+            queryTableName,
+          )));
+        }
+      });
+    }
+  },
+
+  validate_relation(modelSchema, relation, relationName) {
+    if (!_.isPlainObject(relation)) {
+      throw (new Error(util.format('relation %s must be an object with model, type, localKey and foreignKey', relationName)));
+    }
+    if (this.has_field(modelSchema, relationName)) {
+      throw (new Error(util.format('relation %s must not have the same name as a field', relationName)));
+    }
+    if (typeof relation.model !== 'string') {
+      throw (new Error(util.format('relation %s must have a "model" attribute with the name of the related model', relationName)));
+    }
+    if (!['hasMany', 'hasOne', 'belongsTo'].includes(relation.type)) {
+      throw (new Error(util.format('relation %s: type must be one of hasMany, hasOne or belongsTo', relationName)));
+    }
+    if ((typeof relation.localKey !== 'string') || !this.has_field(modelSchema, relation.localKey)) {
+      throw (new Error(util.format('relation %s: localKey must be a valid field name', relationName)));
+    }
+    if (modelSchema.fields[relation.localKey] && modelSchema.fields[relation.localKey].virtual) {
+      throw (new Error(util.format('relation %s: localKey must be a db field name, cannot be a virtual field', relationName)));
+    }
+    if (typeof relation.foreignKey !== 'string') {
+      throw (new Error(util.format('relation %s: foreignKey must be a field name of the related model', relationName)));
+    }
+  },
+
+  validate_bucketing(modelSchema, bucketing) {
+    if (!_.isPlainObject(bucketing)) {
+      throw (new Error('bucketing must be an object with field, source and granularity attributes'));
+    }
+    const partitionKey = _.isArray(modelSchema.key[0]) ? modelSchema.key[0] : [modelSchema.key[0]];
+    if (!partitionKey.includes(bucketing.field)) {
+      throw (new Error('bucketing: field must be a partition key field'));
+    }
+    if (!['timestamp', 'date', 'text', 'varchar', 'ascii'].includes(this.get_field_type(modelSchema, bucketing.field))) {
+      throw (new Error('bucketing: field must be of type timestamp, date or text'));
+    }
+    if (!['hour', 'day', 'month'].includes(bucketing.granularity)) {
+      throw (new Error('bucketing: granularity must be one of hour, day or month'));
+    }
+    if (bucketing.granularity === 'hour' && this.get_field_type(modelSchema, bucketing.field) === 'date') {
+      throw (new Error('bucketing: a field of type date can not be used for hour buckets'));
+    }
+    if (!this.has_field(modelSchema, bucketing.source) || bucketing.source === bucketing.field
+      || !['timestamp', 'date', 'timeuuid'].includes(this.get_field_type(modelSchema, bucketing.source))) {
+      throw (new Error('bucketing: source must be a field of type timestamp, date or timeuuid'));
+    }
+  },
+
+  validate_outbox(modelSchema, outbox) {
+    if (outbox !== true) {
+      throw (new Error('outbox must be true to write the change events of the model to the outbox'));
+    }
+    if (_.some(Object.keys(modelSchema.fields), (fieldName) => this.get_field_type(modelSchema, fieldName) === 'counter')) {
+      throw (new Error('outbox is not supported for counter tables, as counters can not be written in logged batches'));
+    }
+    if (modelSchema.options.paranoid) {
+      throw (new Error('outbox is not supported together with the paranoid option'));
+    }
+    if (modelSchema.options.versions && modelSchema.options.versions.optimistic_locking) {
+      throw (new Error('outbox is not supported together with optimistic locking'));
+    }
+  },
+
   validate_model_schema(modelSchema) {
     if (!modelSchema) {
       throw (new Error('A schema must be specified'));
@@ -311,6 +435,38 @@ const schemer = {
         this.validate_custom_index(modelSchema, customIndex);
       });
     }
+
+    if (modelSchema.query_tables) {
+      if (!_.isPlainObject(modelSchema.query_tables)) {
+        throw (new Error('query_tables must be an object with query table names as attributes'));
+      }
+      if (modelSchema.options && modelSchema.options.versions && modelSchema.options.versions.optimistic_locking) {
+        throw (new Error('query_tables are not supported together with optimistic locking'));
+      }
+      if (modelSchema.options && modelSchema.options.paranoid) {
+        throw (new Error('query_tables are not supported together with the paranoid option'));
+      }
+      _.forEach(modelSchema.query_tables, (queryTable, queryTableName) => {
+        this.validate_query_table(modelSchema, queryTable, queryTableName);
+      });
+    }
+
+    if (modelSchema.options && modelSchema.options.bucketing) {
+      this.validate_bucketing(modelSchema, modelSchema.options.bucketing);
+    }
+
+    if (modelSchema.options && modelSchema.options.outbox) {
+      this.validate_outbox(modelSchema, modelSchema.options.outbox);
+    }
+
+    if (modelSchema.relations) {
+      if (!_.isPlainObject(modelSchema.relations)) {
+        throw (new Error('relations must be an object with relation names as attributes'));
+      }
+      _.forEach(modelSchema.relations, (relation, relationName) => {
+        this.validate_relation(modelSchema, relation, relationName);
+      });
+    }
   },
 
   format_validation_rule(rule, fieldname) {
@@ -0,0 +1,158 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+const getValues = (rows) => rows.map((row) => row.value);
+
+const createRow = (BucketedTemp, day) => (
+  new BucketedTemp({ device: 1, created_at: new Date(Date.UTC(2020, 9, day, 12)), value: day }).save()
+);
+
+module.exports = () => {
+  describe('#bucketing', () => {
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('BucketedTemp', {
+            fields: {
+              device: 'int',
+              bucket: 'text',
+              created_at: 'timestamp',
+              value: 'int',
+            },
+            key: [['device', 'bucket'], 'created_at'],
+            clustering_order: { created_at: 'desc' },
+            options: {
+              bucketing: { field: 'bucket', source: 'created_at', granularity: 'day' },
+            },
+          });
+          return client.instance.BucketedTemp.syncDBAsync();
+        })
+        .then(() => {
+          const BucketedTemp = client.instance.BucketedTemp;
+          return Promise.all([1, 2, 3].map(createRow.bind(null, BucketedTemp)));
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(function f(done) {
+      this.timeout(20000);
+      client.instance.BucketedTemp.truncateAsync()
+        .then(() => {
+          client.close();
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should compute the bucket of a saved instance', () => {
+      const instance = new client.instance.BucketedTemp({ device: 2, created_at: new Date(Date.UTC(2020, 9, 8, 23)) });
+      instance.save({ return_query: true });
+      instance.bucket.should.equal('2020-10-08');
+    });
+
+    it('should find a row by its source field without the bucket', (done) => {
+      client.instance.BucketedTemp.findOne({ device: 1, created_at: new Date(Date.UTC(2020, 9, 2, 12)) })
+        .then((row) => {
+          row.value.should.equal(2);
+          row.bucket.should.equal('2020-10-02');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should find the rows of a range across buckets in clustering order', (done) => {
+      client.instance.BucketedTemp.findAsync({
+        device: 1,
+        created_at: { $gte: new Date(Date.UTC(2020, 9, 1)), $lt: new Date(Date.UTC(2020, 9, 4)) },
+      })
+        .then((rows) => {
+          getValues(rows).should.deep.equal([3, 2, 1]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should stop reading buckets when the limit is reached', (done) => {
+      client.instance.BucketedTemp.findAsync({
+        device: 1,
+        created_at: { $gte: new Date(Date.UTC(2020, 9, 1)), $lte: new Date(Date.UTC(2020, 9, 3, 23)) },
+        $orderby: { $asc: 'created_at' },
+        $limit: 2,
+      })
+        .then((rows) => {
+          getValues(rows).should.deep.equal([1, 2]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should page through the rows of a range bucket by bucket', (done) => {
+      const BucketedTemp = client.instance.BucketedTemp;
+      const range = {
+        device: 1,
+        created_at: { $gte: new Date(Date.UTC(2020, 9, 1)), $lt: new Date(Date.UTC(2020, 9, 3)) },
+      };
+      BucketedTemp.paginate(range, { pageSize: 5 })
+        .then((page) => {
+          getValues(page.items).should.deep.equal([2]);
+          page.hasMore.should.equal(true);
+          return BucketedTemp.paginate(range, { pageSize: 5, cursor: page.nextCursor });
+        })
+        .then((page) => {
+          getValues(page.items).should.deep.equal([1]);
+          page.hasMore.should.equal(false);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should read the rows of a range bucket by bucket using eachRow', (done) => {
+      const values = [];
+      client.instance.BucketedTemp.eachRow({
+        device: 1,
+        created_at: { $gte: new Date(Date.UTC(2020, 9, 1)), $lte: new Date(Date.UTC(2020, 9, 3, 23)) },
+      }, (n, row) => {
+        values.push(row.value);
+      })
+        .then(() => {
+          values.should.deep.equal([3, 2, 1]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should return an error for a range without an upper bound', (done) => {
+      client.instance.BucketedTemp.find({ device: 1, created_at: { $gte: new Date(Date.UTC(2020, 9, 1)) } }, (err) => {
+        should.exist(err);
+        err.name.should.equal('apollo.model.find.invalidbucketrange');
+        done();
+      });
+    });
+
+    it('should return the error of a range without an upper bound to the callback of stream', (done) => {
+      const queryObject = { device: 1, created_at: { $gte: new Date(Date.UTC(2020, 9, 1)) } };
+      client.instance.BucketedTemp.stream(queryObject, () => {}, (err) => {
+        should.exist(err);
+        err.name.should.equal('apollo.model.find.invalidbucketrange');
+        done();
+      });
+    });
+  });
+};
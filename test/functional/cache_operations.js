@@ -0,0 +1,93 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+// writes the name without going through the orm, so the cached row is not invalidated
+const updateNameDirectly = (id, name) => (
+  models.instance.Cached.execute_queryAsync('UPDATE cached SET name = ? WHERE id = ?;', [name, id], { prepare: true })
+);
+
+module.exports = () => {
+  describe('#cache', () => {
+    before((done) => {
+      const cached = new models.instance.Cached({ id: 1, name: 'First' });
+      cached.save((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Cached.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should serve primary key reads from the cache', (done) => {
+      models.instance.Cached.findOne({ id: 1 })
+        .then(() => updateNameDirectly(1, 'Direct'))
+        .then(() => models.instance.Cached.findOne({ id: 1 }))
+        .then((cached) => {
+          cached.name.should.equal('First');
+          return models.instance.Cached.findOne({ id: 1 }, { cache: false });
+        })
+        .then((cached) => {
+          cached.name.should.equal('Direct');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should invalidate the cached row on update', (done) => {
+      models.instance.Cached.findOne({ id: 1 })
+        .then(() => models.instance.Cached.update({ id: 1 }, { name: 'Updated' }))
+        .then(() => models.instance.Cached.findOne({ id: 1 }))
+        .then((cached) => {
+          cached.name.should.equal('Updated');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should invalidate the cached row on save in a batch', (done) => {
+      models.instance.Cached.findOne({ id: 1 })
+        .then((cached) => {
+          cached.name = 'Batched';
+          return models.doBatchAsync([cached.save({ return_query: true })]);
+        })
+        .then(() => models.instance.Cached.findOne({ id: 1 }))
+        .then((cached) => {
+          cached.name.should.equal('Batched');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should invalidate the cached row on update in a batch', (done) => {
+      models.instance.Cached.findOne({ id: 1 })
+        .then(() => models.doBatchAsync([
+          models.instance.Cached.update({ id: 1 }, { name: 'Batch updated' }, { return_query: true }),
+        ]))
+        .then(() => models.instance.Cached.findOne({ id: 1 }))
+        .then((cached) => {
+          cached.name.should.equal('Batch updated');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should invalidate the cached row on delete', (done) => {
+      models.instance.Cached.findOne({ id: 1 })
+        .then(() => models.instance.Cached.delete({ id: 1 }))
+        .then(() => models.instance.Cached.findOne({ id: 1 }))
+        .then((cached) => {
+          should.not.exist(cached);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
@@ -0,0 +1,96 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#delete with columns', () => {
+    before((done) => {
+      const person = new models.instance.Person({
+        userID: 1242,
+        age: 42,
+        Name: 'Columns',
+        surname: 'Delete',
+        intMap: { one: 1, two: 2 },
+        stringList: ['one', 'two', 'three'],
+        stringSet: ['one', 'two'],
+      });
+      person.save((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Person.delete({ userID: 1242, age: 42 }, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should build a delete query for columns and collection elements', (done) => {
+      const deleteQuery = models.instance.Person.delete({ userID: 1242, age: 42 }, {
+        columns: { intMap: { $keys: ['one'] }, stringList: { $index: [0] }, surname: true },
+        if_exists: true,
+        return_query: true,
+      });
+      const expectedQuery = 'DELETE "intMap"[?], "stringList"[?], "surname" FROM "person" '
+        + 'WHERE "userID" = ? AND "age" = ? IF EXISTS;';
+      deleteQuery.query.should.equal(expectedQuery);
+      deleteQuery.params.should.deep.equal(['one', 0, 1242, 42]);
+      done();
+    });
+
+    it('should delete columns and collection elements of a row', (done) => {
+      models.instance.Person.delete({ userID: 1242, age: 42 }, {
+        columns: { intMap: { $keys: ['one'] }, stringList: { $index: [0] }, stringSet: true },
+      })
+        .then(() => models.instance.Person.findOne({ userID: 1242, age: 42 }))
+        .then((person) => {
+          person.Name.should.equal('Columns');
+          person.intMap.should.deep.equal({ two: 2 });
+          person.stringList.should.deep.equal(['two', 'three']);
+          should.not.exist(person.stringSet);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should not delete the columns if the conditions do not apply', (done) => {
+      models.instance.Person.delete({ userID: 1242, age: 42 }, {
+        columns: ['surname'],
+        conditions: { Name: 'Other' },
+      })
+        .then((result) => {
+          result.rows[0]['[applied]'].should.equal(false);
+          return models.instance.Person.findOne({ userID: 1242, age: 42 });
+        })
+        .then((person) => {
+          person.surname.should.equal('Delete');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to delete a primary key column', (done) => {
+      models.instance.Person.delete({ userID: 1242, age: 42 }, { columns: ['age'] })
+        .then(() => done(new Error('delete should have failed')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.delete.unsetkey');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to delete elements of a column with a non matching type', (done) => {
+      models.instance.Person.delete({ userID: 1242, age: 42 }, { columns: { stringSet: { $keys: ['one'] } } })
+        .then(() => done(new Error('delete should have failed')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.delete.invalidcolumnop');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
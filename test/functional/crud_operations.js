@@ -1021,4 +1021,38 @@ module.exports = () => {
         .catch((err) => done(err));
     });
   });
+
+  describe('#native promise support', () => {
+    it('should return native promises when no callback is provided', (done) => {
+      const simple = new models.instance.Simple({ foo: 'promised' });
+      const savePromise = simple.save();
+      savePromise.should.be.an.instanceof(Promise);
+      savePromise
+        .then(() => models.instance.Simple.findOne({ foo: 'promised' }))
+        .then((result) => {
+          result.foo.should.equal('promised');
+          return models.instance.Simple.delete({ foo: 'promised' });
+        })
+        .then(() => models.instance.Simple.find({ foo: 'promised' }))
+        .then((results) => {
+          results.length.should.equal(0);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should reject the promise with the orm error', (done) => {
+      models.instance.Simple.find({ foo: 123 })
+        .then(() => done(new Error('find should have been rejected')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.validator.invalidvalue');
+          done();
+        });
+    });
+
+    it('should keep the query building behaviour with return_query', () => {
+      const query = models.instance.Simple.find({ foo: 'promised' }, { return_query: true });
+      query.query.should.equal('SELECT * FROM "simple" WHERE "foo" = ?;');
+    });
+  });
 };
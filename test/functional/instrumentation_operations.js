@@ -0,0 +1,87 @@
+const chai = require('chai');
+const EventEmitter = require('events');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#instrumentation', () => {
+    const queryEvents = new EventEmitter();
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+          instrumentation: queryEvents,
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('InstrumentedTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+            },
+            key: ['id'],
+          });
+          return client.instance.InstrumentedTemp.syncDBAsync();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(() => {
+      client.close();
+    });
+
+    afterEach(() => {
+      queryEvents.removeAllListeners();
+    });
+
+    it('should emit the start and end of a query', (done) => {
+      const events = [];
+      queryEvents.on('query:start', (event) => events.push(['start', event]));
+      queryEvents.on('query:end', (event) => events.push(['end', event]));
+      client.instance.InstrumentedTemp.findOne({ id: 1 }, { consistency: models.consistencies.one })
+        .then(() => {
+          events.length.should.equal(2);
+          const startEvent = events[0][1];
+          const endEvent = events[1][1];
+          events[0][0].should.equal('start');
+          events[1][0].should.equal('end');
+          endEvent.id.should.equal(startEvent.id);
+          endEvent.model.should.equal('InstrumentedTemp');
+          endEvent.operation.should.equal('select');
+          endEvent.method.should.equal('execute_query');
+          endEvent.paramCount.should.equal(1);
+          endEvent.consistency.should.equal(models.consistencies.one);
+          endEvent.rows.should.equal(0);
+          endEvent.duration.should.be.a('number');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should emit the error of a query with the driver error code', (done) => {
+      let errorEvent;
+      queryEvents.on('query:error', (event) => {
+        errorEvent = event;
+      });
+      client.instance.InstrumentedTemp.execute_query('SELECT * FROM missing_table;', [], (err) => {
+        should.exist(err);
+        should.exist(errorEvent);
+        errorEvent.error.should.equal(err);
+        should.exist(errorEvent.errorCode);
+        done();
+      });
+    });
+  });
+};
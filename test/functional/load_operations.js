@@ -0,0 +1,87 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#load', () => {
+    before((done) => {
+      models.instance.Simple.insertMany([{ foo: 'load1' }, { foo: 'load2' }, { foo: 'load3' }], (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Simple.delete({ foo: { $in: ['load1', 'load2', 'load3'] } }, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should load the rows in the order of the keys', (done) => {
+      models.instance.Simple.loadMany(['load3', 'missing', 'load1', 'load3'])
+        .then((rows) => {
+          rows.length.should.equal(4);
+          rows[0].foo.should.equal('load3');
+          should.not.exist(rows[1]);
+          rows[2].foo.should.equal('load1');
+          rows[3].foo.should.equal('load3');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should batch the loads of the same tick', (done) => {
+      Promise.all([
+        models.instance.Simple.load('load1'),
+        models.instance.Simple.load({ foo: 'load2' }),
+        models.instance.Simple.load('load1'),
+      ])
+        .then((rows) => {
+          rows[0].foo.should.equal('load1');
+          rows[1].foo.should.equal('load2');
+          rows[2].foo.should.equal('load1');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should load a row by the string form of a key in any case', (done) => {
+      const id = models.timeuuid();
+      new models.instance.Event({ email: 'load@example.com', id, body: 'load' }).saveAsync()
+        .then(() => models.instance.Event.load({ email: 'load@example.com', id: id.toString().toUpperCase() }))
+        .then((row) => {
+          row.body.should.equal('load');
+          return models.instance.Event.deleteAsync({ email: 'load@example.com', id });
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    it('should fail to load a key without primary key values', (done) => {
+      models.instance.Simple.load({ bar: 'load1' }, (err) => {
+        should.exist(err);
+        err.name.should.equal('apollo.model.find.invalidloadkey');
+        done();
+      });
+    });
+
+    it('should keep the loaded rows in request scoped loaders until cleared', (done) => {
+      const loaders = models.createLoaders();
+      loaders.Simple.load('load2')
+        .then(() => models.instance.Simple.delete({ foo: 'load2' }))
+        .then(() => loaders.Simple.load('load2'))
+        .then((row) => {
+          row.foo.should.equal('load2');
+          return loaders.Simple.clear('load2').load('load2');
+        })
+        .then((row) => {
+          should.not.exist(row);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
@@ -0,0 +1,84 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#metrics', () => {
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+          metrics: { prefix: 'test_' },
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('MeasuredTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+            },
+            key: ['id'],
+          });
+          return client.instance.MeasuredTemp.syncDBAsync();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(() => {
+      client.close();
+    });
+
+    beforeEach(() => {
+      client.metrics.reset();
+    });
+
+    it('should render the query durations and find rows in the prometheus format', (done) => {
+      client.instance.MeasuredTemp.find({ id: 1 })
+        .then(() => {
+          const labels = 'keyspace="express_cassandra_tests_kspc1",table="MeasuredTemp"';
+          const output = client.metrics.render();
+          output.should.contain('# TYPE test_query_duration_seconds histogram');
+          output.should.contain(`test_query_duration_seconds_count{${labels},operation="select"} 1`);
+          output.should.contain(`test_query_duration_seconds_bucket{${labels},operation="select",le="+Inf"} 1`);
+          output.should.contain(`test_find_rows_sum{${labels},operation="find"} 0`);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should count the errors by the driver error code', (done) => {
+      // a syntax error is not executed again as definition query, so it's counted once
+      client.instance.MeasuredTemp.execute_query('SELECT FROM "MeasuredTemp";', [], (err) => {
+        should.exist(err);
+        client.metrics.render().should.contain(`operation="select",code="${err.code}"} 1`);
+        done();
+      });
+    });
+
+    it('should record the size of batches', (done) => {
+      const queries = [
+        new client.instance.MeasuredTemp({ id: 1, name: 'a' }).save({ return_query: true }),
+        new client.instance.MeasuredTemp({ id: 2, name: 'b' }).save({ return_query: true }),
+      ];
+      client.doBatch(queries)
+        .then(() => {
+          client.metrics.render().should.contain('test_batch_size_sum{keyspace="express_cassandra_tests_kspc1"'
+            + ',table="MeasuredTemp",operation="batch"} 2');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
@@ -227,6 +227,60 @@ module.exports = (eventID) => {
     });
   });
 
+  describe('#insertMany', () => {
+    after((done) => {
+      models.instance.Insert.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should insert documents in partition batches and report per document results', (done) => {
+      const docs = [];
+      for (let i = 0; i < 10; i++) {
+        docs.push({ UserId: `user${i % 3}`, OrderTime: `time${i}` });
+      }
+      docs.push({ OrderTime: 'time10' });
+
+      models.instance.Insert.insertMany(docs, { concurrency: 2, batchSize: 2 })
+        .then((results) => {
+          results.length.should.equal(11);
+          _.map(results.slice(0, 10), 'index').should.deep.equal(_.range(10));
+          _.every(results.slice(0, 10), 'success').should.equal(true);
+          results[10].success.should.equal(false);
+          results[10].error.name.should.equal('apollo.model.save.unsetkey');
+          return models.instance.Insert.find({ UserId: 'user0' }, { raw: true });
+        })
+        .then((rows) => {
+          rows.length.should.equal(4);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should not overwrite existing rows with if_not_exist', (done) => {
+      const docs = [{ UserId: 'user0', OrderTime: 'time0' }, { UserId: 'user9', OrderTime: 'time0' }];
+      models.instance.Insert.insertMany(docs, { if_not_exist: true, batchBy: 'none' }, (err, results) => {
+        if (err) {
+          done(err);
+          return;
+        }
+        results[0].applied.should.equal(false);
+        results[0].success.should.equal(false);
+        results[1].applied.should.equal(true);
+        results[1].success.should.equal(true);
+        done();
+      });
+    });
+
+    it('should fail for an invalid batchBy option', (done) => {
+      models.instance.Insert.insertMany([], { batchBy: 'table' }, (err) => {
+        err.name.should.equal('apollo.model.save.insertmanyerror');
+        done();
+      });
+    });
+  });
+
   describe('#benchmark orm batch operations', () => {
     it('should truncate table', function f(done) {
       this.timeout(5000);
@@ -0,0 +1,130 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+const getOperations = (events) => events.map((event) => event.operation);
+
+module.exports = () => {
+  describe('#outbox', () => {
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+          outbox: {
+            tableName: 'outbox_tests',
+            partitions: 4,
+            delay: 0,
+          },
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('OutboxTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+            },
+            key: ['id'],
+            options: {
+              outbox: true,
+            },
+          });
+          return client.instance.OutboxTemp.syncDBAsync();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(function f(done) {
+      this.timeout(20000);
+      client.instance.OutboxTemp.get_cql_clientAsync()
+        .then((cqlClient) => Promise.all([
+          cqlClient.execute('DROP TABLE IF EXISTS "outbox_tests";'),
+          cqlClient.execute('DROP TABLE IF EXISTS "outbox_tests_checkpoints";'),
+        ]))
+        .then(() => client.instance.OutboxTemp.truncateAsync())
+        .then(() => {
+          client.close();
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should return the outbox event with the queries of a write', () => {
+      const query = new client.instance.OutboxTemp({ id: 1, name: 'a' }).save({ return_query: true });
+      query.outbox_queries.length.should.equal(1);
+      query.outbox_queries[0].query.should.contain('"express_cassandra_tests_kspc1"."outbox_tests"');
+      query.outbox_queries[0].params[5].should.equal('save');
+    });
+
+    it('should poll the events of the writes in order', function f(done) {
+      this.timeout(10000);
+      const OutboxTemp = client.instance.OutboxTemp;
+      new OutboxTemp({ id: 1, name: 'a' }).save()
+        .then(() => OutboxTemp.updateAsync({ id: 1 }, { name: 'b' }))
+        .then(() => OutboxTemp.deleteAsync({ id: 1 }))
+        .then(() => client.outbox.poll({ limit: 10 }))
+        .then((events) => {
+          getOperations(events).should.deep.equal(['save', 'update', 'delete']);
+          events[0].key.should.deep.equal({ id: 1 });
+          events[0].payload.should.deep.equal({ id: 1, name: 'a' });
+          events[1].changedFields.should.deep.equal(['name']);
+          should.not.exist(events[2].payload);
+          return client.outbox.ack(events);
+        })
+        .then(() => client.outbox.poll())
+        .then((events) => {
+          events.length.should.equal(0);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should write the events of the queries of a batch', function f(done) {
+      this.timeout(10000);
+      const OutboxTemp = client.instance.OutboxTemp;
+      client.doBatchAsync([
+        new OutboxTemp({ id: 2, name: 'c' }).save({ return_query: true }),
+        OutboxTemp.update({ id: 3 }, { name: 'd' }, { return_query: true }),
+      ])
+        .then(() => client.outbox.poll({ consumer: 'batch', since: new Date(Date.now() - 60000) }))
+        .then((events) => {
+          getOperations(events).should.include.members(['save', 'update']);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should write an event for each key of an update with $in conditions', () => {
+      const query = client.instance.OutboxTemp.update({ id: { $in: [4, 5] } }, { name: 'f' }, { return_query: true });
+      query.outbox_queries.length.should.equal(2);
+      query.outbox_queries.map((outboxQuery) => outboxQuery.params[4]).should.deep.equal(['{"id":4}', '{"id":5}']);
+    });
+
+    it('should not support deletes without the whole primary key', (done) => {
+      client.instance.OutboxTemp.delete({ id: { $gt: 1 } }, (err) => {
+        should.exist(err);
+        err.name.should.equal('apollo.model.delete.outboxerror');
+        done();
+      });
+    });
+
+    it('should not support lightweight transactions', (done) => {
+      client.instance.OutboxTemp.update({ id: 1 }, { name: 'e' }, { if_exists: true }, (err) => {
+        should.exist(err);
+        err.name.should.equal('apollo.model.update.outboxerror');
+        done();
+      });
+    });
+  });
+};
@@ -0,0 +1,183 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#paginate', () => {
+    before((done) => {
+      const queries = [];
+      for (let i = 0; i < 5; i++) {
+        const job = new models.instance.SampleGroupBy({ project_id: 2, job_id: i, combinationId: i });
+        queries.push(job.save({ return_query: true }));
+      }
+      models.doBatch(queries, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.SampleGroupBy.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should fetch all pages using the returned cursors', (done) => {
+      let collected = [];
+      const fetchPage = (cursor) => models.instance.SampleGroupBy.paginate({ project_id: 2 }, { pageSize: 2, cursor })
+        .then((page) => {
+          page.items.length.should.be.at.most(2);
+          collected = collected.concat(page.items);
+          if (page.hasMore) {
+            page.nextCursor.should.match(/^[A-Za-z0-9_-]+$/);
+            return fetchPage(page.nextCursor);
+          }
+          should.not.exist(page.nextCursor);
+          return null;
+        });
+
+      fetchPage()
+        .then(() => {
+          collected.length.should.equal(5);
+          collected[0].should.be.an.instanceof(models.instance.SampleGroupBy);
+          collected.map((job) => job.job_id).should.deep.equal([4, 3, 2, 1, 0]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should reject a cursor generated for a different query', (done) => {
+      models.instance.SampleGroupBy.paginate({ project_id: 2 }, { pageSize: 2 })
+        .then((page) => models.instance.SampleGroupBy.paginate({ project_id: 3 }, { cursor: page.nextCursor }))
+        .then(() => done(new Error('paginate should have been rejected')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.find.invalidcursor');
+          done();
+        });
+    });
+  });
+
+  describe('#iterate', () => {
+    before((done) => {
+      const queries = [];
+      for (let i = 0; i < 5; i++) {
+        const job = new models.instance.SampleGroupBy({ project_id: 3, job_id: i, combinationId: i });
+        queries.push(job.save({ return_query: true }));
+      }
+      models.doBatch(queries, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.SampleGroupBy.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should iterate through all the rows fetching the pages lazily', (done) => {
+      const iterator = models.instance.SampleGroupBy.iterate({ project_id: 3 }, { pageSize: 2, raw: true });
+      const jobIds = [];
+      const readNext = () => iterator.next()
+        .then((item) => {
+          if (item.done) return null;
+          jobIds.push(item.value.job_id);
+          return readNext();
+        });
+
+      readNext()
+        .then(() => {
+          jobIds.should.deep.equal([4, 3, 2, 1, 0]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should stop fetching when the iterator is returned early', (done) => {
+      const iterator = models.instance.SampleGroupBy.iterate({ project_id: 3 }, { pageSize: 2 });
+      iterator.next()
+        .then((item) => {
+          item.value.should.be.an.instanceof(models.instance.SampleGroupBy);
+          return iterator.return();
+        })
+        .then(() => iterator.next())
+        .then((item) => {
+          item.done.should.equal(true);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+
+  describe('#scan', () => {
+    before((done) => {
+      const queries = [];
+      for (let i = 0; i < 10; i++) {
+        const job = new models.instance.SampleGroupBy({ project_id: 10 + i, job_id: i, combinationId: i });
+        queries.push(job.save({ return_query: true }));
+      }
+      models.doBatch(queries, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.SampleGroupBy.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should scan all the rows of the table in parallel token ranges', (done) => {
+      const jobIds = [];
+      let progressCalls = 0;
+      models.instance.SampleGroupBy.scan({
+        concurrency: 2,
+        splitsPerNode: 4,
+        pageSize: 2,
+        raw: true,
+        onRow: (row) => new Promise((resolve) => {
+          jobIds.push(row.job_id);
+          setTimeout(resolve, 1);
+        }),
+        onProgress: (progress) => {
+          progressCalls++;
+          progress.completedRanges.should.equal(progressCalls);
+        },
+      })
+        .then((result) => {
+          result.rowsScanned.should.equal(10);
+          result.completedRanges.should.equal(result.totalRanges);
+          result.checkpoint.completed.length.should.equal(result.totalRanges);
+          progressCalls.should.equal(result.totalRanges);
+          jobIds.sort((a, b) => a - b).should.deep.equal([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should skip the completed token ranges of a checkpoint', (done) => {
+      models.instance.SampleGroupBy.scan({ onRow: () => {} })
+        .then((result) => models.instance.SampleGroupBy.scan({ checkpoint: result.checkpoint, onRow: () => {} }))
+        .then((result) => {
+          result.rowsScanned.should.equal(0);
+          result.completedRanges.should.equal(result.totalRanges);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail without an onRow function', (done) => {
+      models.instance.SampleGroupBy.scan({}, (err) => {
+        err.name.should.equal('apollo.model.find.scanerror');
+        done();
+      });
+    });
+  });
+};
@@ -0,0 +1,211 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#save with only_modified', () => {
+    before((done) => {
+      const person = new models.instance.Person({
+        userID: 1240,
+        age: 40,
+        points: 50,
+        Name: 'Partial',
+        phones: ['123456'],
+        intMap: { one: 1, two: 2 },
+        stringSet: ['one'],
+      });
+      person.save((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Person.delete({ userID: 1240, age: 40 }, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should build an update query for the modified columns only', (done) => {
+      models.instance.Person.findOne({ userID: 1240, age: 40 })
+        .then((person) => {
+          person.points = 60;
+          person.phones.push('234567');
+          delete person.intMap.two;
+          const saveQuery = person.save({ only_modified: true, return_query: true });
+          saveQuery.query.should.match(/^UPDATE "person" SET /);
+          saveQuery.query.should.contain('"points"=?');
+          saveQuery.query.should.contain('"phones"="phones" + ?');
+          saveQuery.query.should.contain('"intMap"="intMap" - ?');
+          saveQuery.query.should.not.contain('"Name"');
+          saveQuery.query.should.not.contain('"stringSet"');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should patch the modified columns of a loaded instance', (done) => {
+      models.instance.Person.findOne({ userID: 1240, age: 40 })
+        .then((person) => {
+          person.points = 60;
+          person.phones.push('234567');
+          person.stringSet = ['one', 'two'];
+          delete person.intMap.two;
+          return person.patch();
+        })
+        .then(() => models.instance.Person.findOne({ userID: 1240, age: 40 }))
+        .then((person) => {
+          person.points.should.equal(60);
+          person.Name.should.equal('Partial');
+          person.phones.should.deep.equal(['123456', '234567']);
+          person.stringSet.should.deep.equal(['one', 'two']);
+          person.intMap.should.deep.equal({ one: 1 });
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should return a query object without a query if nothing was modified', (done) => {
+      models.instance.Person.findOne({ userID: 1240, age: 40 })
+        .then((person) => {
+          const saveQuery = person.save({ only_modified: true, return_query: true });
+          should.not.exist(saveQuery.query);
+          saveQuery.after_hook().should.equal(true);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should skip the saves without modified columns in a batch', (done) => {
+      models.instance.Person.findOne({ userID: 1240, age: 40 })
+        .then((person) => models.doBatchAsync([
+          person.save({ only_modified: true, return_query: true }),
+          models.instance.Person.update({ userID: 1240, age: 40 }, { points: 70 }, { return_query: true }),
+        ]))
+        .then(() => models.instance.Person.findOne({ userID: 1240, age: 40 }))
+        .then((person) => {
+          person.points.should.equal(70);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+
+  describe('#optimistic locking with versions', () => {
+    before((done) => {
+      const versioned = new models.instance.Versioned({ id: 1, name: 'first' });
+      versioned.save((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Versioned.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should skip the unmodified loaded instances in insertMany', (done) => {
+      // loaded instances of optimistically locked models are always saved partially
+      models.instance.Versioned.findOne({ id: 1 })
+        .then((versioned) => models.instance.Versioned.insertMany([versioned]))
+        .then((results) => {
+          results[0].success.should.equal(true);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail with a version conflict if the row was modified concurrently', (done) => {
+      let first;
+      let second;
+      Promise.all([
+        models.instance.Versioned.findOne({ id: 1 }),
+        models.instance.Versioned.findOne({ id: 1 }),
+      ])
+        .then((loaded) => {
+          [first, second] = loaded;
+          first.name = 'second';
+          return first.save();
+        })
+        .then(() => {
+          second.name = 'third';
+          return second.save();
+        })
+        .then(() => done(new Error('save should have failed with a version conflict')))
+        .catch((err) => {
+          err.should.be.an.instanceof(models.VersionConflictError);
+          err.name.should.equal('apollo.model.save.versionconflict');
+          err.currentRow.name.should.equal('second');
+          err.currentRow.__v.toString().should.equal(first.__v.toString());
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail a batch with a version conflict if the row was modified concurrently', (done) => {
+      let first;
+      let second;
+      Promise.all([
+        models.instance.Versioned.findOne({ id: 1 }),
+        models.instance.Versioned.findOne({ id: 1 }),
+      ])
+        .then((loaded) => {
+          [first, second] = loaded;
+          first.name = 'batched';
+          return models.doBatchAsync([first.save({ return_query: true })]);
+        })
+        .then(() => {
+          first.name = 'batched again';
+          second.name = 'conflicting';
+          return models.doBatchAsync([first.save({ return_query: true })]);
+        })
+        .then(() => models.doBatchAsync([second.save({ return_query: true })]))
+        .then(() => {
+          throw new Error('batch should have failed with a version conflict');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceof(models.VersionConflictError);
+          return models.instance.Versioned.findOne({ id: 1 });
+        })
+        .then((versioned) => {
+          versioned.name.should.equal('batched again');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should retry a conflicting modification using retryOnConflict', (done) => {
+      let attempts = 0;
+      const modify = (attempt) => {
+        attempts++;
+        let loaded;
+        return models.instance.Versioned.findOne({ id: 1 })
+          .then((versioned) => {
+            loaded = versioned;
+            // simulate a concurrent modification during the first attempt
+            if (attempt === 1) return models.instance.Versioned.update({ id: 1 }, { name: 'concurrent' });
+            return null;
+          })
+          .then(() => {
+            loaded.name = `attempt ${attempt}`;
+            return loaded.save();
+          });
+      };
+
+      models.retryOnConflict(modify)
+        .then(() => models.instance.Versioned.findOne({ id: 1 }))
+        .then((versioned) => {
+          attempts.should.equal(2);
+          versioned.name.should.equal('attempt 2');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
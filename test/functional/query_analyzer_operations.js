@@ -0,0 +1,57 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#explain', () => {
+    it('should classify a query restricting the partition key', () => {
+      const analysis = models.instance.Person.explain({ userID: 1234, age: { $gt: 30 } });
+      analysis.type.should.equal('partition');
+      analysis.requiresFiltering.should.equal(false);
+      analysis.suggestions.should.have.length(0);
+    });
+
+    it('should classify a query served by a secondary index', () => {
+      const analysis = models.instance.Person.explain({ Name: 'Mahafuzur' });
+      analysis.type.should.equal('index');
+      models.instance.Person.explain({ info: { $contains_key: 'hello' } }).type.should.equal('index');
+    });
+
+    it('should classify a query on a materialized view by the key of the view', () => {
+      const analysis = models.instance.Person.explain({ userID: 1234, age: 32 }, {
+        materialized_view: 'mat_view_composite',
+      });
+      analysis.type.should.equal('partition');
+    });
+
+    it('should detect a full scan and suggest an index', () => {
+      const analysis = models.instance.Person.explain({ surname: 'Rahman' }, { allow_filtering: true });
+      analysis.type.should.equal('full_scan');
+      analysis.requiresFiltering.should.equal(true);
+      analysis.warnings.should.have.length(1);
+      const suggestion = analysis.suggestions.find((item) => item.type === 'index');
+      should.exist(suggestion);
+      suggestion.on.should.equal('surname');
+    });
+
+    it('should detect a partly restricted partition key of a materialized view', () => {
+      const analysis = models.instance.Person.explain({ userID: 1234 }, { materialized_view: 'mat_view_composite' });
+      analysis.type.should.equal('full_scan');
+    });
+
+    it('should classify a token range query as a token range scan', () => {
+      models.instance.Person.explain({ userID: { $token: { $eq: 1234 } } }).type.should.equal('partition');
+      const analysis = models.instance.Person.explain({ userID: { $token: { $gt: 1234, $lte: 2345 } } });
+      analysis.type.should.equal('token_range');
+      analysis.warnings.should.have.length(1);
+    });
+
+    it('should require filtering for non key columns of a partition', () => {
+      const analysis = models.instance.Person.explain({ userID: 1234, surname: 'Rahman' });
+      analysis.type.should.equal('partition');
+      analysis.requiresFiltering.should.equal(true);
+    });
+  });
+};
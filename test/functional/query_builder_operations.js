@@ -0,0 +1,98 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#query builder', () => {
+    before((done) => {
+      models.instance.MultipleOrderBy.insertMany([
+        {
+          user_id: 'builder', status: 'active', timestamp: 1, first_name: 'First',
+        },
+        {
+          user_id: 'builder', status: 'active', timestamp: 2, first_name: 'Second',
+        },
+        {
+          user_id: 'builder', status: 'active', timestamp: 3, first_name: 'Third',
+        },
+        {
+          user_id: 'builder', status: 'inactive', timestamp: 4, first_name: 'Fourth',
+        },
+      ], (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.MultipleOrderBy.delete({ user_id: 'builder' }, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should compile to a query object and options', () => {
+      const compiled = models.instance.MultipleOrderBy.query()
+        .where('user_id', 'builder')
+        .where('status').in(['active', 'inactive'])
+        .orderBy('status', 'desc')
+        .limit(2)
+        .select(['first_name'])
+        .compile();
+      compiled.queryObject.should.deep.equal({
+        user_id: 'builder',
+        status: { $in: ['active', 'inactive'] },
+        $orderby: { $desc: ['status'] },
+        $limit: 2,
+      });
+      compiled.options.should.deep.equal({ select: ['first_name'] });
+    });
+
+    it('should compile to cql', () => {
+      const query = models.instance.MultipleOrderBy.query()
+        .where('user_id', 'builder')
+        .where('status', 'active')
+        .where('timestamp')
+        .gte(2)
+        .lt(10)
+        .orderBy('status', 'desc')
+        .orderBy('timestamp', 'asc')
+        .toCQL();
+      const tableName = models.instance.MultipleOrderBy.get_table_name();
+      query.query.should.equal(`SELECT * FROM "${tableName}" WHERE "user_id" = ? AND "status" = ? `
+        + 'AND "timestamp" >= ? AND "timestamp" < ? ORDER BY "status" DESC, "timestamp" ASC;');
+      query.params.should.deep.equal(['builder', 'active', 2, 10]);
+    });
+
+    it('should find the rows matching the built query', (done) => {
+      models.instance.MultipleOrderBy.query()
+        .where('user_id', 'builder')
+        .where('status', 'active')
+        .where('timestamp')
+        .gte(2)
+        .orderBy('status', 'desc')
+        .orderBy('timestamp', 'asc')
+        .exec()
+        .then((rows) => {
+          rows.length.should.equal(2);
+          rows[0].first_name.should.equal('Second');
+          rows[1].first_name.should.equal('Third');
+          return models.instance.MultipleOrderBy.query().where('user_id', 'builder').limit(1).raw()
+            .first();
+        })
+        .then((row) => {
+          row.first_name.should.equal('First');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to use an operator without a field', () => {
+      should.throw(() => {
+        models.instance.MultipleOrderBy.query().gte(2);
+      }, /querybuildererror|must follow a where call/);
+    });
+  });
+};
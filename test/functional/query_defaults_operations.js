@@ -0,0 +1,103 @@
+const chai = require('chai');
+const EventEmitter = require('events');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#default consistency', () => {
+    const queryEvents = new EventEmitter();
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+          instrumentation: queryEvents,
+          consistency: { read: 'one', write: 'one' },
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('DefaultConsistencyTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+            },
+            key: ['id'],
+            options: {
+              consistency: { write: 'localOne', serial: 'localSerial' },
+            },
+          });
+          return client.instance.DefaultConsistencyTemp.syncDBAsync();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(() => {
+      client.close();
+    });
+
+    afterEach(() => {
+      queryEvents.removeAllListeners();
+    });
+
+    it('should use the default read consistency of the orm for find', (done) => {
+      let endEvent;
+      queryEvents.on('query:end', (event) => {
+        endEvent = event;
+      });
+      client.instance.DefaultConsistencyTemp.find({ id: 1 })
+        .then(() => {
+          endEvent.consistency.should.equal(models.consistencies.one);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should use the default write consistency of the model for save', (done) => {
+      let endEvent;
+      queryEvents.on('query:end', (event) => {
+        endEvent = event;
+      });
+      new client.instance.DefaultConsistencyTemp({ id: 1, name: 'a' }).save()
+        .then(() => {
+          endEvent.operation.should.equal('insert');
+          endEvent.consistency.should.equal(models.consistencies.localOne);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should prefer the consistency given for a query', (done) => {
+      let endEvent;
+      queryEvents.on('query:end', (event) => {
+        endEvent = event;
+      });
+      client.instance.DefaultConsistencyTemp.update({ id: 1 }, { name: 'b' }, { consistency: models.consistencies.all })
+        .then(() => {
+          endEvent.consistency.should.equal(models.consistencies.all);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should reject an invalid default consistency', () => {
+      should.throw(() => {
+        client.loadSchema('InvalidConsistencyTemp', {
+          fields: { id: 'int' },
+          key: ['id'],
+          options: { consistency: { read: 'invalid' } },
+        });
+      }, /invalid read consistency/);
+    });
+  });
+};
@@ -0,0 +1,113 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#query tables', () => {
+    after((done) => {
+      models.instance.Account.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should write the query table copy on save', (done) => {
+      const account = new models.instance.Account({ id: 1, email: 'one@example.com', name: 'One' });
+      account.save()
+        .then(() => models.instance.Account.findOne({ email: 'one@example.com' }, { query_table: 'by_email', raw: true }))
+        .then((row) => {
+          row.id.should.equal(1);
+          row.name.should.equal('One');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should move the query table row if its key changes on save', (done) => {
+      models.instance.Account.findOne({ id: 1 })
+        .then((account) => {
+          account.email = 'first@example.com';
+          return account.save();
+        })
+        .then(() => models.instance.Account.find({}, { query_table: 'by_email', raw: true }))
+        .then((rows) => {
+          rows.length.should.equal(1);
+          rows[0].email.should.equal('first@example.com');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should move the query table row if a new instance overwrites a row', (done) => {
+      const account = new models.instance.Account({ id: 1, email: 'overwritten@example.com', name: 'One' });
+      account.save()
+        .then(() => models.instance.Account.find({}, { query_table: 'by_email', raw: true }))
+        .then((rows) => {
+          rows.length.should.equal(1);
+          rows[0].email.should.equal('overwritten@example.com');
+          return models.instance.Account.update({ id: 1 }, { email: 'first@example.com' });
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    it('should update the query table copies', (done) => {
+      models.instance.Account.update({ id: 1 }, { name: 'First', tags: { $add: ['admin'] } })
+        .then(() => models.instance.Account.findOne({ email: 'first@example.com' }, { query_table: 'by_email' }))
+        .then((account) => {
+          account.name.should.equal('First');
+          account.tags.should.deep.equal(['admin']);
+          return models.instance.Account.update({ id: 1 }, { email: 'updated@example.com' });
+        })
+        .then(() => models.instance.Account.find({}, { query_table: 'by_email', raw: true }))
+        .then((rows) => {
+          rows.length.should.equal(1);
+          rows[0].email.should.equal('updated@example.com');
+          rows[0].tags.should.deep.equal(['admin']);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should delete the query table copies', (done) => {
+      models.instance.Account.delete({ id: 1 })
+        .then(() => models.instance.Account.findOne({ email: 'updated@example.com' }, { query_table: 'by_email' }))
+        .then((account) => {
+          should.not.exist(account);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to use lightweight transactions', (done) => {
+      models.instance.Account.update({ id: 1 }, { name: 'Other' }, { if_exists: true })
+        .then(() => done(new Error('update should have failed')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.update.querytableerror');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to find using an undefined query table', (done) => {
+      models.instance.Account.find({ name: 'One' }, { query_table: 'by_name' })
+        .then(() => done(new Error('find should have failed')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.find.invalidquerytable');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to load a paranoid model with query tables', () => {
+      (() => models.loadSchema('ParanoidAccount', {
+        fields: { id: 'int', email: 'text' },
+        key: ['id'],
+        query_tables: { by_email: { key: ['email', 'id'] } },
+        options: { paranoid: true },
+      })).should.throw('query_tables are not supported together with the paranoid option');
+    });
+  });
+};
@@ -0,0 +1,85 @@
+const _ = require('lodash');
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+const getPostTitles = (author) => _.map(author.posts, 'title').sort();
+
+module.exports = () => {
+  describe('#find with populate', () => {
+    before((done) => {
+      Promise.all([
+        models.instance.Author.insertMany([
+          { author_id: 1, name: 'first' },
+          { author_id: 2, name: 'second' },
+          { author_id: 3, name: 'third' },
+        ]),
+        models.instance.Post.insertMany([
+          { author_id: 1, post_id: 1, title: 'one' },
+          { author_id: 1, post_id: 2, title: 'two' },
+          { author_id: 2, post_id: 3, title: 'three' },
+          { author_id: 4, post_id: 4, title: 'orphan' },
+        ]),
+      ])
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after((done) => {
+      Promise.all([
+        models.instance.Author.truncate(),
+        models.instance.Post.truncate(),
+      ])
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    it('should populate hasMany relations of the results', (done) => {
+      models.instance.Author.find({ author_id: { $in: [1, 2, 3] } }, { populate: ['posts'] })
+        .then((authors) => {
+          authors.length.should.equal(3);
+          const postsByAuthor = _.mapValues(_.keyBy(authors, 'author_id'), getPostTitles);
+          postsByAuthor.should.deep.equal({ 1: ['one', 'two'], 2: ['three'], 3: [] });
+          authors[0].posts[0].should.be.an.instanceof(models.instance.Post);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should populate belongsTo relations of raw results', (done) => {
+      models.instance.Post.find({ author_id: { $in: [2, 4] } }, { raw: true, populate: 'author' })
+        .then((posts) => {
+          posts.length.should.equal(2);
+          const postsByTitle = _.keyBy(posts, 'title');
+          postsByTitle.three.author.name.should.equal('second');
+          should.not.exist(postsByTitle.orphan.author);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should populate nested relations and the relations of an instance', (done) => {
+      models.instance.Post.findOne({ author_id: 1, post_id: 1 })
+        .then((post) => post.populate('author.posts'))
+        .then((post) => {
+          post.author.name.should.equal('first');
+          post.author.posts.length.should.equal(2);
+          JSON.parse(JSON.stringify(post)).author.name.should.equal('first');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to populate an undefined relation', (done) => {
+      models.instance.Author.find({ author_id: 1 }, { populate: ['comments'] })
+        .then(() => done(new Error('populate should have failed')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.find.populateerror');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
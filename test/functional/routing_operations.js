@@ -0,0 +1,129 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+// calls fn with a function returning the query options of the executed queries of the model
+const captureQueryOptions = (model, fn) => {
+  const queryOptions = [];
+  const executeTableQuery = model._execute_table_query;
+  model._execute_table_query = function f(query, params, options, callback) {
+    queryOptions.push(options);
+    return executeTableQuery.call(this, query, params, options, callback);
+  };
+  const restore = (result) => {
+    model._execute_table_query = executeTableQuery;
+    return result;
+  };
+  return fn().then(restore, (err) => {
+    restore();
+    throw err;
+  }).then(() => queryOptions);
+};
+
+module.exports = () => {
+  describe('#routing', () => {
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('RoutedTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+              tags: { type: 'list', typeDef: '<text>' },
+            },
+            key: [['id', 'name']],
+          });
+          return client.instance.RoutedTemp.syncDBAsync();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(() => {
+      client.close();
+    });
+
+    it('should return the routing key of the partition of a saved instance', () => {
+      const query = new client.instance.RoutedTemp({ id: 1, name: 'a' }).save({ return_query: true });
+      query.routing_key.length.should.equal(2);
+      query.routing_key[0].toString('hex').should.equal('00000001');
+      query.routing_key[1].toString().should.equal('a');
+    });
+
+    it('should not return a routing key for queries of multiple partitions', () => {
+      const query = client.instance.RoutedTemp.delete({ id: { $in: [1, 2] }, name: 'a' }, { return_query: true });
+      should.not.exist(query.routing_key);
+    });
+
+    it('should route and mark unconditional updates as idempotent', (done) => {
+      const model = client.instance.RoutedTemp;
+      captureQueryOptions(model, () => model.update({ id: 1, name: 'a' }, { tags: ['x'] }))
+        .then((queryOptions) => {
+          queryOptions[0].isIdempotent.should.equal(true);
+          queryOptions[0].routingKey[0].toString('hex').should.equal('00000001');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should not mark list appends as idempotent', (done) => {
+      const model = client.instance.RoutedTemp;
+      captureQueryOptions(model, () => model.update({ id: 1, name: 'a' }, { tags: { $append: ['y'] } }))
+        .then((queryOptions) => {
+          queryOptions[0].isIdempotent.should.equal(false);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should not mark lightweight transactions as idempotent', (done) => {
+      const model = client.instance.RoutedTemp;
+      captureQueryOptions(model, () => new client.instance.RoutedTemp({ id: 3, name: 'c' }).save({ if_not_exist: true }))
+        .then((queryOptions) => {
+          queryOptions[0].isIdempotent.should.equal(false);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should prefer the idempotence given for a query', (done) => {
+      const model = client.instance.RoutedTemp;
+      captureQueryOptions(model, () => model.find({ id: 1, name: 'a' }, { isIdempotent: false }))
+        .then((queryOptions) => {
+          queryOptions[0].isIdempotent.should.equal(false);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should execute unprepared queries and batches with routing', (done) => {
+      const queries = [
+        new client.instance.RoutedTemp({ id: 2, name: 'b' }).save({ return_query: true }),
+        client.instance.RoutedTemp.update({ id: 2, name: 'b' }, { tags: { $append: ['x'] } }, { return_query: true }),
+      ];
+      client.doBatch(queries, { prepare: false })
+        .then(() => client.instance.RoutedTemp.find({ id: 2, name: 'b' }, { prepare: false, raw: true }))
+        .then((rows) => {
+          rows.length.should.equal(1);
+          rows[0].tags.should.deep.equal(['x']);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
@@ -0,0 +1,69 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#find with writetime and ttl metadata', () => {
+    before((done) => {
+      const item = new models.instance.Paranoid({ group_id: 20, item_id: 1, name: 'meta' });
+      item.save({ ttl: 1000 }, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Paranoid.forceDelete({ group_id: 20 }, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should return the metadata on model instances', (done) => {
+      const startTime = Date.now() * 1000;
+      models.instance.Paranoid.findOne({ group_id: 20 }, { writetime: ['name'], ttl: ['name'] })
+        .then((item) => {
+          item.should.be.an.instanceof(models.instance.Paranoid);
+          item.name.should.equal('meta');
+          item.$meta.writetime.name.toNumber().should.be.at.most(startTime);
+          item.$meta.ttl.name.should.be.within(1, 1000);
+          should.not.exist(item.toJSON().$meta);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should return the metadata on raw rows with selected columns', (done) => {
+      models.instance.Paranoid.find({ group_id: 20 }, { select: ['item_id'], writetime: ['name'] })
+        .then((items) => {
+          items[0].should.deep.equal({ item_id: 1 });
+          should.exist(items[0].$meta.writetime.name);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail for a primary key column', (done) => {
+      models.instance.Paranoid.find({ group_id: 20 }, { writetime: ['item_id'] }, (err) => {
+        err.name.should.equal('apollo.model.find.invalidmetacolumn');
+        done();
+      });
+    });
+
+    it('should fail for non frozen collection columns', (done) => {
+      models.instance.Person.find({ userID: 1234 }, { ttl: ['intList'] }, (err) => {
+        err.name.should.equal('apollo.model.find.invalidmetacolumn');
+        done();
+      });
+    });
+
+    it('should fail for counter columns', (done) => {
+      models.instance.Counter.find({ user_id: models.datatypes.Long.fromInt(1) }, { writetime: ['visit_count'] }, (err) => {
+        err.name.should.equal('apollo.model.find.invalidmetacolumn');
+        done();
+      });
+    });
+  });
+};
@@ -20,6 +20,9 @@ const config = {
     manageESIndex: true,
     manageGraphs: true,
     disableTTYConfirmation: true,
+    cache: {
+      ttl: 60,
+    },
     udts: {
       phone: {
         alias: 'text',
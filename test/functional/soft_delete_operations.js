@@ -0,0 +1,108 @@
+const chai = require('chai');
+const _ = require('lodash');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#soft delete with paranoid option', () => {
+    before((done) => {
+      const queries = [];
+      for (let i = 0; i < 3; i++) {
+        const item = new models.instance.Paranoid({ group_id: 1, item_id: i, name: `item ${i}` });
+        queries.push(item.save({ return_query: true }));
+      }
+      models.doBatch(queries, (err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Paranoid.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should soft delete an instance and leave it out of find results', (done) => {
+      models.instance.Paranoid.findOne({ group_id: 1, item_id: 0 })
+        .then((item) => item.delete())
+        .then(() => models.instance.Paranoid.find({ group_id: 1 }, { raw: true }))
+        .then((items) => {
+          _.map(items, 'item_id').should.deep.equal([1, 2]);
+          return models.instance.Paranoid.find({ group_id: 1 }, { raw: true, withDeleted: true });
+        })
+        .then((items) => {
+          items.length.should.equal(3);
+          should.exist(items[0].deletedAt);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should not create a row when soft deleting a missing primary key', (done) => {
+      models.instance.Paranoid.delete({ group_id: 1, item_id: 10 })
+        .then((result) => {
+          result.rows[0]['[applied]'].should.equal(false);
+          return models.instance.Paranoid.findOne({ group_id: 1, item_id: 10 }, { withDeleted: true });
+        })
+        .then((item) => {
+          should.not.exist(item);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should return an unconditional soft delete query to be batched with other tables', () => {
+      const query = models.instance.Paranoid.delete({ group_id: 1, item_id: 10 }, { return_query: true });
+      query.query.should.not.contain('IF EXISTS');
+      models.instance.Paranoid.delete({ group_id: 1, item_id: 10 }, { return_query: true, if_exists: true })
+        .query.should.contain('IF EXISTS');
+    });
+
+    it('should return an error for conditions if the rows are read before the soft delete', (done) => {
+      models.instance.Paranoid.delete({ group_id: 1 }, { conditions: { name: 'item 1' } }, (err) => {
+        should.exist(err);
+        err.name.should.equal('apollo.model.delete.paranoiderror');
+        done();
+      });
+    });
+
+    it('should leave out soft deleted rows when selecting columns', (done) => {
+      models.instance.Paranoid.find({ group_id: 1 }, { select: ['item_id'] })
+        .then((items) => {
+          items.length.should.equal(2);
+          should.not.exist(items[0].deletedAt);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should soft delete all rows of a partition and restore them', (done) => {
+      models.instance.Paranoid.delete({ group_id: 1 })
+        .then(() => models.instance.Paranoid.find({ group_id: 1 }))
+        .then((items) => {
+          items.length.should.equal(0);
+          return models.instance.Paranoid.restore({ group_id: 1 });
+        })
+        .then(() => models.instance.Paranoid.find({ group_id: 1 }))
+        .then((items) => {
+          items.length.should.equal(3);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should delete rows permanently using forceDelete', (done) => {
+      models.instance.Paranoid.forceDelete({ group_id: 1, item_id: 2 })
+        .then(() => models.instance.Paranoid.find({ group_id: 1 }, { withDeleted: true }))
+        .then((items) => {
+          _.map(items, 'item_id').should.deep.equal([0, 1]);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+  });
+};
@@ -0,0 +1,144 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+const TENANT_KEYSPACES = ['express_cassandra_tests_tenant_a', 'express_cassandra_tests_tenant_b'];
+
+module.exports = () => {
+  describe('#tenants', () => {
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          defaultReplicationStrategy: {
+            class: 'SimpleStrategy',
+            replication_factor: 1,
+          },
+          tenantResolver: (tenantId) => `express_cassandra_tests_tenant_${tenantId}`,
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('TenantTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+            },
+            key: ['id'],
+          });
+          client.loadSchema('TenantLookupTemp', {
+            fields: {
+              id: 'int',
+              email: { type: 'text', unique: true },
+              name: 'text',
+            },
+            key: ['id'],
+            query_tables: { by_name: { key: ['name', 'id'] } },
+          });
+          return client.instance.TenantTemp.syncDBAsync();
+        })
+        .then(() => client.instance.TenantLookupTemp.syncDBAsync())
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(function f(done) {
+      this.timeout(20000);
+      client.instance.TenantTemp.get_cql_clientAsync()
+        .then((cqlClient) => Promise.all(TENANT_KEYSPACES.map((keyspaceName) => (
+          cqlClient.execute(`DROP KEYSPACE IF EXISTS "${keyspaceName}";`)
+        ))))
+        .then(() => {
+          client.close();
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should return the same model for a tenant', () => {
+      const TenantModel = client.instance.TenantTemp.forTenant('a');
+      TenantModel.should.equal(client.instance.TenantTemp.forTenant('a'));
+      TenantModel.get_keyspace_name().should.equal('express_cassandra_tests_tenant_a');
+      TenantModel._properties.qualified_table_name.should.equal('"express_cassandra_tests_tenant_a"."TenantTemp"');
+    });
+
+    it('should create the keyspace and table of a tenant on demand', function f(done) {
+      this.timeout(20000);
+      const TenantModel = client.instance.TenantTemp.forTenant('a');
+      new TenantModel({ id: 1, name: 'tenant a' }).save()
+        .then(() => TenantModel.findOne({ id: 1 }))
+        .then((row) => {
+          row.name.should.equal('tenant a');
+          row.constructor.should.equal(TenantModel);
+          return client.instance.TenantTemp.findOne({ id: 1 });
+        })
+        .then((row) => {
+          should.not.exist(row);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should sync the tables of tenants in bulk', function f(done) {
+      this.timeout(20000);
+      client.syncTenants(['b'])
+        .then(() => client.instance.TenantTemp.forTenant('b').find({ id: 1 }))
+        .then((rows) => {
+          rows.length.should.equal(0);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should execute batches of tenant queries in the keyspace of the tenant', function f(done) {
+      this.timeout(20000);
+      const TenantModel = client.instance.TenantTemp.forTenant('b');
+      const queries = [
+        new TenantModel({ id: 2, name: 'tenant b' }).save({ return_query: true }),
+        TenantModel.update({ id: 3 }, { name: 'tenant b' }, { return_query: true }),
+      ];
+      client.doBatch(queries)
+        .then(() => TenantModel.find({ id: { $in: [2, 3] } }))
+        .then((rows) => {
+          rows.length.should.equal(2);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should write the query tables and unique fields of a tenant in the keyspace of the tenant', function f(done) {
+      this.timeout(20000);
+      const TenantModel = client.instance.TenantLookupTemp.forTenant('a');
+      new TenantModel({ id: 1, email: 'a@example.com', name: 'tenant a' }).save()
+        .then(() => TenantModel.findOne({ name: 'tenant a' }, { query_table: 'by_name' }))
+        .then((row) => {
+          row.id.should.equal(1);
+          return client.instance.TenantLookupTemp.findOne({ name: 'tenant a' }, { query_table: 'by_name' });
+        })
+        .then((row) => {
+          should.not.exist(row);
+          new TenantModel({ id: 2, email: 'a@example.com', name: 'tenant a' }).save((err) => {
+            should.exist(err);
+            err.name.should.equal('apollo.model.save.uniqueconstraint');
+            done();
+          });
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should reject invalid tenant keyspaces', () => {
+      should.throw(() => {
+        client.instance.TenantTemp.forTenant('invalid-tenant');
+      }, /Invalid keyspace name/);
+    });
+  });
+};
@@ -0,0 +1,135 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+// an in memory tracer implementing the parts of the opentelemetry tracer api used by the orm
+const createTracer = () => {
+  const tracer = {
+    finishedSpans: [],
+    activeSpan: null,
+    startSpan(name, options) {
+      const span = {
+        name,
+        kind: options.kind,
+        attributes: options.attributes,
+        parentName: tracer.activeSpan ? tracer.activeSpan.name : null,
+        status: null,
+        exceptions: [],
+        setStatus(status) {
+          span.status = status;
+        },
+        recordException(exception) {
+          span.exceptions.push(exception);
+        },
+        end() {
+          tracer.finishedSpans.push(span);
+        },
+      };
+      return span;
+    },
+    startActiveSpan(name, options, fn) {
+      const span = tracer.startSpan(name, options);
+      const parentSpan = tracer.activeSpan;
+      tracer.activeSpan = span;
+      try {
+        return fn(span);
+      } finally {
+        tracer.activeSpan = parentSpan;
+      }
+    },
+  };
+  return tracer;
+};
+
+const getSpan = (tracer, operation) => tracer.finishedSpans.find((span) => span.attributes['db.operation'] === operation);
+
+module.exports = () => {
+  describe('#tracing', () => {
+    const tracer = createTracer();
+    let client;
+
+    before(function f(done) {
+      this.timeout(20000);
+      client = models.createClient({
+        clientOptions: {
+          contactPoints: ['127.0.0.1'],
+          keyspace: 'express_cassandra_tests_kspc1',
+          queryOptions: { consistency: models.consistencies.one },
+        },
+        ormOptions: {
+          createKeyspace: false,
+          tracer,
+        },
+      });
+      client.initAsync()
+        .then(() => {
+          client.loadSchema('TracedTemp', {
+            fields: {
+              id: 'int',
+              name: 'text',
+            },
+            key: ['id'],
+          });
+          return client.instance.TracedTemp.syncDBAsync();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    after(() => {
+      client.close();
+    });
+
+    beforeEach(() => {
+      tracer.finishedSpans = [];
+    });
+
+    it('should create a span for a find with the database attributes', (done) => {
+      client.instance.TracedTemp.find({ id: 1 })
+        .then(() => {
+          const findSpan = getSpan(tracer, 'find');
+          should.exist(findSpan);
+          findSpan.name.should.equal('find express_cassandra_tests_kspc1.TracedTemp');
+          findSpan.attributes['db.system'].should.equal('cassandra');
+          findSpan.attributes['db.name'].should.equal('express_cassandra_tests_kspc1');
+          findSpan.attributes['db.cassandra.table'].should.equal('TracedTemp');
+          should.not.exist(findSpan.status);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should create a client span with the statement for each query', (done) => {
+      const instance = new client.instance.TracedTemp({ id: 1, name: 'traced' });
+      instance.save((err) => {
+        if (err) {
+          done(err);
+          return;
+        }
+        const querySpan = getSpan(tracer, 'insert');
+        should.exist(querySpan);
+        querySpan.attributes['db.statement'].should.contain('INSERT INTO "TracedTemp"');
+        tracer.finishedSpans[tracer.finishedSpans.length - 1].name.should
+          .equal('save express_cassandra_tests_kspc1.TracedTemp');
+        done();
+      });
+    });
+
+    it('should end the span of a failed operation with an error status', (done) => {
+      client.instance.TracedTemp.find({ id: 'invalid' }, (err) => {
+        should.exist(err);
+        const findSpan = getSpan(tracer, 'find');
+        findSpan.status.code.should.equal(2);
+        findSpan.exceptions[0].should.equal(err);
+        done();
+      });
+    });
+
+    it('should not create a span for queries returned by return_query', () => {
+      client.instance.TracedTemp.find({ id: 1 }, { return_query: true });
+      tracer.finishedSpans.length.should.equal(0);
+    });
+  });
+};
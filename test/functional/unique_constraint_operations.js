@@ -0,0 +1,108 @@
+const chai = require('chai');
+
+const models = require('../../lib/expressCassandra');
+
+const should = chai.should();
+
+module.exports = () => {
+  describe('#unique fields', () => {
+    const firstID = models.uuid();
+    const secondID = models.uuid();
+
+    before((done) => {
+      const member = new models.instance.Member({ id: firstID, email: 'first@example.com', name: 'First' });
+      member.save((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    after((done) => {
+      models.instance.Member.truncate((err) => {
+        if (err) done(err);
+        else done();
+      });
+    });
+
+    it('should save the documents one by one with insertMany', (done) => {
+      const thirdID = models.uuid();
+      models.instance.Member.insertMany([
+        { id: thirdID, email: 'third@example.com', name: 'Third' },
+        { id: models.uuid(), email: 'first@example.com', name: 'Duplicate' },
+      ])
+        .then((results) => {
+          results[0].success.should.equal(true);
+          results[1].success.should.equal(false);
+          results[1].error.name.should.equal('apollo.model.save.uniqueconstraint');
+          return models.instance.Member.deleteAsync({ id: thirdID });
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+    });
+
+    it('should fail to save a value that is already used', (done) => {
+      const member = new models.instance.Member({ id: secondID, email: 'first@example.com', name: 'Second' });
+      member.save()
+        .then(() => {
+          throw new Error('save should have failed');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceof(models.UniqueConstraintError);
+          err.name.should.equal('apollo.model.save.uniqueconstraint');
+          err.field.should.equal('email');
+          return models.instance.Member.findOne({ id: secondID });
+        })
+        .then((savedMember) => {
+          should.not.exist(savedMember);
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should release the previous value when it is changed', (done) => {
+      models.instance.Member.findOne({ id: firstID })
+        .then((member) => {
+          member.email = 'changed@example.com';
+          return member.save();
+        })
+        .then(() => {
+          const member = new models.instance.Member({ id: secondID, email: 'first@example.com', name: 'Second' });
+          return member.save();
+        })
+        .then(() => models.instance.Member.findOne({ id: secondID }))
+        .then((member) => {
+          member.email.should.equal('first@example.com');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to update to a value that is already used', (done) => {
+      models.instance.Member.update({ id: secondID }, { email: 'changed@example.com' })
+        .then(() => done(new Error('update should have failed')))
+        .catch((err) => {
+          err.name.should.equal('apollo.model.update.uniqueconstraint');
+          err.field.should.equal('email');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should release the value of a deleted row', (done) => {
+      models.instance.Member.delete({ id: firstID })
+        .then(() => models.instance.Member.update({ id: secondID }, { email: 'changed@example.com' }))
+        .then(() => models.instance.Member.findOne({ id: secondID }))
+        .then((member) => {
+          member.email.should.equal('changed@example.com');
+          done();
+        })
+        .catch((err) => done(err));
+    });
+
+    it('should fail to return the query of a save', (done) => {
+      const member = new models.instance.Member({ id: models.uuid(), email: 'other@example.com' });
+      (() => member.save({ return_query: true })).should.throw('return_query is not supported');
+      done();
+    });
+  });
+};
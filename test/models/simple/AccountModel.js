@@ -0,0 +1,18 @@
+module.exports = {
+  fields: {
+    id: 'int',
+    email: 'varchar',
+    name: 'varchar',
+    tags: {
+      type: 'set',
+      typeDef: '<varchar>',
+    },
+  },
+  key: ['id'],
+  query_tables: {
+    by_email: {
+      key: ['email'],
+      select: ['name', 'tags'],
+    },
+  },
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  fields: {
+    author_id: 'int',
+    name: 'varchar',
+  },
+  key: ['author_id'],
+  relations: {
+    posts: {
+      model: 'post',
+      type: 'hasMany',
+      localKey: 'author_id',
+      foreignKey: 'author_id',
+    },
+  },
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  fields: {
+    id: 'int',
+    name: 'varchar',
+  },
+  key: ['id'],
+  options: {
+    cache: true,
+  },
+};
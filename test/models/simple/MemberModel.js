@@ -0,0 +1,11 @@
+module.exports = {
+  fields: {
+    id: 'uuid',
+    email: {
+      type: 'text',
+      unique: true,
+    },
+    name: 'text',
+  },
+  key: ['id'],
+};
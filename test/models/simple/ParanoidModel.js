@@ -0,0 +1,11 @@
+module.exports = {
+  fields: {
+    group_id: 'int',
+    item_id: 'int',
+    name: 'varchar',
+  },
+  key: [['group_id'], 'item_id'],
+  options: {
+    paranoid: true,
+  },
+};
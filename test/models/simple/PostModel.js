@@ -0,0 +1,16 @@
+module.exports = {
+  fields: {
+    author_id: 'int',
+    post_id: 'int',
+    title: 'varchar',
+  },
+  key: [['author_id'], 'post_id'],
+  relations: {
+    author: {
+      model: 'author',
+      type: 'belongsTo',
+      localKey: 'author_id',
+      foreignKey: 'author_id',
+    },
+  },
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  fields: {
+    id: 'int',
+    name: 'varchar',
+  },
+  key: ['id'],
+  options: {
+    versions: {
+      optimistic_locking: true,
+    },
+  },
+};
@@ -3,6 +3,26 @@ const models = require('../lib/expressCassandra');
 const testSchemaLoadAndSync = require('./functional/schema_load_sync');
 const testDataTypeValidations = require('./functional/datatype_validations');
 const testCrudOperations = require('./functional/crud_operations');
+const testPagination = require('./functional/pagination_operations');
+const testPartialSaves = require('./functional/partial_save_operations');
+const testSoftDeletes = require('./functional/soft_delete_operations');
+const testRowMetadata = require('./functional/row_metadata_operations');
+const testColumnDeletes = require('./functional/column_delete_operations');
+const testRelations = require('./functional/relation_operations');
+const testQueryTables = require('./functional/query_table_operations');
+const testUniqueConstraints = require('./functional/unique_constraint_operations');
+const testCache = require('./functional/cache_operations');
+const testLoad = require('./functional/load_operations');
+const testQueryBuilder = require('./functional/query_builder_operations');
+const testQueryAnalyzer = require('./functional/query_analyzer_operations');
+const testInstrumentation = require('./functional/instrumentation_operations');
+const testTracing = require('./functional/tracing_operations');
+const testMetrics = require('./functional/metrics_operations');
+const testQueryDefaults = require('./functional/query_defaults_operations');
+const testRouting = require('./functional/routing_operations');
+const testTenants = require('./functional/tenant_operations');
+const testBucketing = require('./functional/bucketing_operations');
+const testOutbox = require('./functional/outbox_operations');
 const testCounterOperations = require('./functional/counter_operations');
 const testRawClients = require('./functional/raw_client_executions');
 const testCustomIndexOperations = require('./functional/custom_index_operations');
@@ -19,6 +39,26 @@ describe('Functional Tests', () => {
   testSchemaLoadAndSync();
   testDataTypeValidations();
   testCrudOperations();
+  testPagination();
+  testPartialSaves();
+  testSoftDeletes();
+  testRowMetadata();
+  testColumnDeletes();
+  testRelations();
+  testQueryTables();
+  testUniqueConstraints();
+  testCache();
+  testLoad();
+  testQueryBuilder();
+  testQueryAnalyzer();
+  testInstrumentation();
+  testTracing();
+  testMetrics();
+  testQueryDefaults();
+  testRouting();
+  testTenants();
+  testBucketing();
+  testOutbox();
   testCounterOperations();
   testRawClients(eventID);
   testCustomIndexOperations();